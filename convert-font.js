@@ -1,16 +1,48 @@
-// Font converter: TTF/OTF to Three.js typeface.json
-// Run: node convert-font.js
+// Font converter: TTF/OTF/WOFF to Three.js typeface.json
+// Run: node convert-font.js [--ranges=start-end,...] [input...] [output.json]
+//   node convert-font.js                                                  -> Balloony
+//   node convert-font.js "fonts/Game Bubble.otf" "fonts/Game Bubble_Regular.json"
+//   node convert-font.js --ranges=20-7E,590-5FF,FB1D-FB4F "fonts/Noto Sans Hebrew Bold (hebrew).woff" \
+//       "fonts/Noto Sans Hebrew Bold (latin).woff" "fonts/Noto Sans Hebrew_Bold.json"
+//   node convert-font.js --ranges=20-7E,600-6FF,FE70-FEFF "fonts/Noto Sans Arabic Bold (arabic).woff" \
+//       "fonts/Noto Sans Arabic Bold (latin).woff" "fonts/Noto Sans Arabic_Bold.json"
+//   node convert-font.js "fonts/Noto Sans Bold (latin).woff" "fonts/Noto Sans Bold (latin-ext).woff" \
+//       "fonts/Noto Sans Bold (greek).woff" "fonts/Noto Sans Bold (cyrillic).woff" \
+//       "fonts/Noto Sans Bold (vietnamese).woff" "fonts/Noto Sans_Bold.json"
+// Several inputs (e.g. the unicode subsets of one family) are merged into one
+// typeface; the first input that maps a character wins. --ranges keeps only
+// the characters in those hex code point ranges (e.g. --ranges=20-7E,590-5FF).
 
 const opentype = require('opentype.js');
 const fs = require('fs');
 
-const inputFont = 'fonts/Balloony Regular.ttf';
-const outputFile = 'fonts/Balloony_Regular.json';
+// Output units, scaled like facetype.js (which made the first bundled fonts) so every font
+// lays out at the same size: RESOLUTION units = 0.72 em
+const RESOLUTION = 1000;
+const UNITS_PER_EM = RESOLUTION * 100 / 72;
 
-console.log('🔄 Loading font:', inputFont);
+const rangesArg = process.argv.slice(2).find(arg => arg.startsWith('--ranges='));
+const ranges = rangesArg ? rangesArg.slice('--ranges='.length).split(',').map(range => {
+    const [start, end] = range.split('-').map(code => parseInt(code, 16));
+    return { start: start, end: end !== undefined ? end : start };
+}) : null;
+const inRanges = (unicode) => !ranges || ranges.some(range => unicode >= range.start && unicode <= range.end);
 
-opentype.load(inputFont, (err, font) => {
-    if (err) {
+const args = process.argv.slice(2).filter(arg => arg !== rangesArg);
+const inputFonts = args.length > 1 ? args.slice(0, -1) : ['fonts/Balloony Regular.ttf'];
+const outputFile = args.length > 1 ? args[args.length - 1] : 'fonts/Balloony_Regular.json';
+
+const glyphs = {};
+const kerning = {};
+let primary = null;
+
+inputFonts.forEach(inputFont => {
+    console.log('🔄 Loading font:', inputFont);
+
+    let font;
+    try {
+        font = opentype.loadSync(inputFont);
+    } catch (err) {
         console.error('❌ Error loading font:', err);
         process.exit(1);
     }
@@ -18,85 +50,120 @@ opentype.load(inputFont, (err, font) => {
     console.log('✅ Font loaded:', font.names.fontFamily.en);
     console.log('🔄 Converting to Three.js format...');
 
-    const glyphs = {};
+    primary = primary || font;
+    const scale = UNITS_PER_EM / font.unitsPerEm;
+    const mappedGlyphs = [];
 
-    // Convert all glyphs
-    font.glyphs.glyphs.forEach(glyph => {
-        if (!glyph.unicode) return;
+    // Convert every glyph under each character it's mapped to
+    for (let i = 0; i < font.glyphs.length; i++) {
+        const glyph = font.glyphs.get(i);
+        const unicodes = glyph.unicodes && glyph.unicodes.length > 0 ? glyph.unicodes : (glyph.unicode ? [glyph.unicode] : []);
 
-        const char = String.fromCharCode(glyph.unicode);
-        const path = glyph.getPath(0, 0, 72);
+        unicodes.forEach(unicode => {
+            const char = String.fromCodePoint(unicode);
+            if (glyphs[char] || !inRanges(unicode)) return;
 
-        glyphs[char] = {
-            ha: Math.round(glyph.advanceWidth),
-            x_min: Math.round(glyph.xMin || 0),
-            x_max: Math.round(glyph.xMax || glyph.advanceWidth),
-            o: convertPath(path)
-        };
+            mappedGlyphs.push({ char, glyph });
+            glyphs[char] = {
+                ha: Math.round(glyph.advanceWidth * scale),
+                x_min: Math.round((glyph.xMin || 0) * scale),
+                x_max: Math.round((glyph.xMax || glyph.advanceWidth) * scale),
+                o: convertPath(glyph.path, scale)
+            };
+        });
+    }
+
+    // Convert kerning pairs (read by js/layout.js) - { left: { right: value } }
+    let pairCount = 0;
+    mappedGlyphs.forEach(left => {
+        mappedGlyphs.forEach(right => {
+            const value = Math.round(font.getKerningValue(left.glyph, right.glyph) * scale);
+            if (value) {
+                kerning[left.char] = kerning[left.char] || {};
+                kerning[left.char][right.char] = value;
+                pairCount++;
+            }
+        });
     });
+    if (pairCount === 0) {
+        // Balloony Regular.ttf is one of these: its letters are spaced by advance width only
+        console.warn('⚠️ No kerning pairs found - the font has no kern table or GPOS pair kerning');
+    }
+});
 
-    const typefaceData = {
-        glyphs: glyphs,
-        familyName: font.names.fontFamily.en,
-        ascender: Math.round(font.ascender),
-        descender: Math.round(font.descender),
-        underlinePosition: Math.round(font.tables.post.underlinePosition || -100),
-        underlineThickness: Math.round(font.tables.post.underlineThickness || 50),
-        boundingBox: {
-            yMin: Math.round(font.descender),
-            yMax: Math.round(font.ascender),
-            xMin: 0,
-            xMax: Math.round(font.ascender)
-        },
-        resolution: 1000,
-        original_font_information: {
-            format: 0,
-            copyright: font.names.copyright?.en || '',
-            fontFamily: font.names.fontFamily.en,
-            fontSubfamily: font.names.fontSubfamily?.en || 'Regular',
-            uniqueID: font.names.uniqueID?.en || '',
-            fullName: font.names.fullName?.en || font.names.fontFamily.en,
-            version: font.names.version?.en || '1.0',
-            postScriptName: font.names.postScriptName?.en || font.names.fontFamily.en.replace(/\s/g, ''),
-            trademark: font.names.trademark?.en || '',
-            manufacturer: font.names.manufacturer?.en || '',
-            designer: font.names.designer?.en || '',
-            manufacturerURL: font.names.manufacturerURL?.en || '',
-            designerURL: font.names.designerURL?.en || '',
-            licence: font.names.license?.en || '',
-            licenceURL: font.names.licenseURL?.en || ''
-        }
-    };
+const font = primary;
+const scale = UNITS_PER_EM / font.unitsPerEm;
+
+const typefaceData = {
+    glyphs: glyphs,
+    kerning: kerning,
+    familyName: font.names.fontFamily.en,
+    ascender: Math.round(font.ascender * scale),
+    descender: Math.round(font.descender * scale),
+    underlinePosition: Math.round((font.tables.post.underlinePosition || -100) * scale),
+    underlineThickness: Math.round((font.tables.post.underlineThickness || 50) * scale),
+    boundingBox: {
+        yMin: Math.round(font.descender * scale),
+        yMax: Math.round(font.ascender * scale),
+        xMin: 0,
+        xMax: Math.round(font.ascender * scale)
+    },
+    resolution: RESOLUTION,
+    original_font_information: {
+        format: 0,
+        copyright: font.names.copyright?.en || '',
+        fontFamily: font.names.fontFamily.en,
+        fontSubfamily: font.names.fontSubfamily?.en || 'Regular',
+        uniqueID: font.names.uniqueID?.en || '',
+        fullName: font.names.fullName?.en || font.names.fontFamily.en,
+        version: font.names.version?.en || '1.0',
+        postScriptName: font.names.postScriptName?.en || font.names.fontFamily.en.replace(/\s/g, ''),
+        trademark: font.names.trademark?.en || '',
+        manufacturer: font.names.manufacturer?.en || '',
+        designer: font.names.designer?.en || '',
+        manufacturerURL: font.names.manufacturerURL?.en || '',
+        designerURL: font.names.designerURL?.en || '',
+        licence: font.names.license?.en || '',
+        licenceURL: font.names.licenseURL?.en || ''
+    }
+};
 
-    const json = JSON.stringify(typefaceData, null, 2);
-    fs.writeFileSync(outputFile, json);
+const json = JSON.stringify(typefaceData);
+fs.writeFileSync(outputFile, json);
 
-    console.log('✅ Conversion complete!');
-    console.log('📝 Output file:', outputFile);
-    console.log('📊 Glyphs converted:', Object.keys(glyphs).length);
-});
+console.log('✅ Conversion complete!');
+console.log('📝 Output file:', outputFile);
+console.log('📊 Glyphs converted:', Object.keys(glyphs).length);
+console.log('📊 Kerning pairs:', Object.keys(kerning).reduce((sum, left) => sum + Object.keys(kerning[left]).length, 0));
 
-function convertPath(path) {
+// Convert an outline (font units, y up) to the typeface command string THREE.Font reads:
+// "m x y", "l x y", "q x y cpx cpy" and "b x y cp1x cp1y cp2x cp2y" - the end point comes first
+function convertPath(path, scale) {
+    const round = (value) => Math.round(value * scale);
     let commands = '';
+    let last = '';
 
     path.commands.forEach(cmd => {
+        const point = cmd.type === 'Z' ? last : `${round(cmd.x)} ${round(cmd.y)}`;
+
         switch(cmd.type) {
             case 'M':
-                commands += `M ${Math.round(cmd.x)} ${Math.round(cmd.y)} `;
+                commands += `m ${point} `;
                 break;
             case 'L':
-                commands += `L ${Math.round(cmd.x)} ${Math.round(cmd.y)} `;
+                if (point !== last) commands += `l ${point} `; // TrueType outlines repeat on-curve points
                 break;
             case 'Q':
-                commands += `Q ${Math.round(cmd.x1)} ${Math.round(cmd.y1)} ${Math.round(cmd.x)} ${Math.round(cmd.y)} `;
+                commands += `q ${point} ${round(cmd.x1)} ${round(cmd.y1)} `;
                 break;
             case 'C':
-                commands += `C ${Math.round(cmd.x1)} ${Math.round(cmd.y1)} ${Math.round(cmd.x2)} ${Math.round(cmd.y2)} ${Math.round(cmd.x)} ${Math.round(cmd.y)} `;
+                commands += `b ${point} ${round(cmd.x1)} ${round(cmd.y1)} ${round(cmd.x2)} ${round(cmd.y2)} `;
                 break;
             case 'Z':
-                commands += 'Z ';
+                commands += 'z ';
                 break;
         }
+        last = point;
     });
 
     return commands.trim();
@@ -0,0 +1,302 @@
+/*
+ * Balloon Strings Module - Tethered Letters
+ * Author: Studio Video
+ *
+ * Optional strings from the bottom of each letter to an anchor: one shared
+ * bouquet knot under the text, or a ground point under each letter. Each
+ * string is a verlet rope drawn as a line; when it's pulled taut it holds the
+ * letter at the string's length and turns back its outward velocity, so
+ * floating letters bob on their strings like party balloons.
+ */
+
+const STRING_SEGMENTS = 12; // Rope points per string (plus the anchor)
+const STRING_CONSTRAINT_ITERATIONS = 8;
+const STRING_GRAVITY = 40; // Downward pull on the rope itself (world units/s²)
+const STRING_DAMPING = 0.96; // Verlet velocity kept per step
+const STRING_BOUNCE = 0.2; // Share of outward speed a letter keeps (reversed) when its string snaps taut
+const STRING_TAUT_DAMPING = 0.98; // Letter velocity kept per frame while its string is taut
+
+// ========== BALLOON STRINGS NAMESPACE ==========
+const BalloonStrings = {
+    material: null, // Shared line material
+
+    /**
+     * Attach, simulate and draw every letter's string (called once per frame after physics)
+     * @param {number} deltaTime - Frame time in seconds
+     */
+    update: function(deltaTime) {
+        const settings = InflatableText.settings;
+
+        InflatableText.letterMeshes.forEach(letterObj => {
+            const wantsString = settings.stringsEnabled && letterObj.mesh && !letterObj.isDying && letterObj.block;
+            if (!wantsString) {
+                BalloonStrings.detach(letterObj);
+                return;
+            }
+
+            if (!letterObj.string) {
+                BalloonStrings.attach(letterObj);
+            }
+            BalloonStrings.updateString(letterObj, deltaTime);
+        });
+    },
+
+    /**
+     * Get the point a letter's string is tied to (bottom of its outline, following its rotation)
+     * @param {Object} letterObj - Letter object
+     * @returns {Object} { x, y, z } in world units
+     */
+    getAttachPoint: function(letterObj) {
+        const mesh = letterObj.mesh;
+        const box = mesh.geometry.boundingBox;
+        const drop = (box ? box.min.y : -letterObj.fontSize / 2) * mesh.scale.y;
+        const angle = mesh.rotation.z;
+        return {
+            x: mesh.position.x - Math.sin(angle) * drop,
+            y: mesh.position.y + Math.cos(angle) * drop,
+            z: mesh.position.z
+        };
+    },
+
+    /**
+     * Get where a letter's string is anchored (on the z = 0 plane, where the text is laid out)
+     * @param {Object} letterObj - Letter object
+     * @returns {Object} { x, y, z } in world units
+     */
+    getAnchorPoint: function(letterObj) {
+        const bounds = InflatableText.canvasBounds;
+
+        if (InflatableText.settings.stringAnchor === 'ground') {
+            // Straight down from the letter's slot
+            const x = letterObj.string ? letterObj.string.slotX : letterObj.position.x;
+            return { x: Math.min(Math.max(x, bounds.minX), bounds.maxX), y: bounds.minY, z: 0 };
+        }
+
+        // Bouquet: every string gathers at one knot below the middle of the text
+        return { x: (bounds.minX + bounds.maxX) / 2, y: bounds.minY, z: 0 };
+    },
+
+    /**
+     * Tie a string to a letter at its current position
+     * @param {Object} letterObj - Letter object
+     */
+    attach: function(letterObj) {
+        if (!BalloonStrings.material) {
+            BalloonStrings.material = new THREE.LineBasicMaterial({ color: InflatableText.settings.stringColor });
+        }
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array((STRING_SEGMENTS + 1) * 3), 3));
+        const line = new THREE.Line(geometry, BalloonStrings.material);
+        line.frustumCulled = false; // Points move every frame
+        InflatableText.scene.add(line);
+
+        letterObj.string = {
+            points: [],
+            slotX: letterObj.position.x, // Where the letter sat when tied (its layout slot)
+            slotY: letterObj.position.y,
+            slotZ: letterObj.position.z,
+            restLength: 0,
+            line: line
+        };
+        BalloonStrings.retie(letterObj);
+    },
+
+    /**
+     * Measure a string from the letter's slot to its anchor and hang the rope straight between them
+     * @param {Object} letterObj - Letter object with a string
+     */
+    retie: function(letterObj) {
+        const string = letterObj.string;
+        const attachPoint = BalloonStrings.getAttachPoint(letterObj);
+        const anchor = BalloonStrings.getAnchorPoint(letterObj);
+
+        BalloonStrings.measure(letterObj);
+        string.points = [];
+        for (let i = 0; i <= STRING_SEGMENTS; i++) {
+            const t = i / STRING_SEGMENTS;
+            const x = anchor.x + (attachPoint.x - anchor.x) * t;
+            const y = anchor.y + (attachPoint.y - anchor.y) * t;
+            const z = anchor.z + (attachPoint.z - anchor.z) * t;
+            string.points.push({ x: x, y: y, z: z, previousX: x, previousY: y, previousZ: z });
+        }
+    },
+
+    /**
+     * Set a string's rest length from the letter's slot (not where it has drifted) to its anchor
+     * @param {Object} letterObj - Letter object with a string
+     */
+    measure: function(letterObj) {
+        const string = letterObj.string;
+        const attachPoint = BalloonStrings.getAttachPoint(letterObj);
+        const anchor = BalloonStrings.getAnchorPoint(letterObj);
+
+        const slotAttachX = attachPoint.x - letterObj.mesh.position.x + string.slotX;
+        const slotAttachY = attachPoint.y - letterObj.mesh.position.y + string.slotY;
+        const slotAttachZ = attachPoint.z - letterObj.mesh.position.z + string.slotZ;
+        const distance = Math.hypot(slotAttachX - anchor.x, slotAttachY - anchor.y, slotAttachZ - anchor.z);
+        string.restLength = Math.max(distance * InflatableText.settings.stringLength, 0.01);
+    },
+
+    /**
+     * Remove a letter's string from the scene
+     * @param {Object} letterObj - Letter object
+     */
+    detach: function(letterObj) {
+        if (!letterObj.string) return;
+
+        InflatableText.scene.remove(letterObj.string.line);
+        letterObj.string.line.geometry.dispose();
+        letterObj.string = null;
+    },
+
+    /**
+     * Re-measure every string with the current anchor and length settings
+     */
+    retieAll: function() {
+        InflatableText.letterMeshes.forEach(letterObj => {
+            if (letterObj.string) BalloonStrings.retie(letterObj);
+        });
+    },
+
+    /**
+     * Hold the letter within reach of its anchor, then step the rope and update its line
+     * @param {Object} letterObj - Letter object with a string
+     * @param {number} deltaTime - Frame time in seconds
+     */
+    updateString: function(letterObj, deltaTime) {
+        const string = letterObj.string;
+
+        // Letters placed by layout (gliding to a slot or static) carry their slot with them
+        if (letterObj.glideTarget || letterObj.isStatic) {
+            string.slotX = letterObj.glideTarget ? letterObj.glideTarget.x : letterObj.position.x;
+            string.slotY = letterObj.glideTarget ? letterObj.glideTarget.y : letterObj.position.y;
+            string.slotZ = letterObj.glideTarget ? letterObj.glideTarget.z : letterObj.position.z;
+            BalloonStrings.measure(letterObj);
+            BalloonStrings.updateRope(letterObj, deltaTime, false);
+            return;
+        }
+
+        // A taut string stops the letter: pull it back to the string's length and cancel the outward velocity
+        const attachPoint = BalloonStrings.getAttachPoint(letterObj);
+        const anchor = BalloonStrings.getAnchorPoint(letterObj);
+        const dx = anchor.x - attachPoint.x;
+        const dy = anchor.y - attachPoint.y;
+        const dz = anchor.z - attachPoint.z;
+        const distance = Math.hypot(dx, dy, dz);
+        const stretch = distance - string.restLength;
+        if (stretch > 0 && distance > 0) {
+            const nx = dx / distance;
+            const ny = dy / distance;
+            const nz = dz / distance;
+
+            letterObj.position.x += nx * stretch;
+            letterObj.position.y += ny * stretch;
+            letterObj.position.z += nz * stretch;
+            letterObj.mesh.position.set(letterObj.position.x, letterObj.position.y, letterObj.position.z);
+
+            const outward = -(letterObj.velocity.x * nx + letterObj.velocity.y * ny + letterObj.velocity.z * nz);
+            if (outward > 0) {
+                const response = outward * (1 + STRING_BOUNCE);
+                letterObj.velocity.x += nx * response;
+                letterObj.velocity.y += ny * response;
+                letterObj.velocity.z += nz * response;
+            }
+
+            // Taut strings also sap a little sideways swing
+            letterObj.velocity.x *= STRING_TAUT_DAMPING;
+            letterObj.velocity.y *= STRING_TAUT_DAMPING;
+            letterObj.velocity.z *= STRING_TAUT_DAMPING;
+        }
+
+        BalloonStrings.updateRope(letterObj, deltaTime, true);
+    },
+
+    /**
+     * Verlet step for a string's rope, pinned at the anchor and the letter
+     * @param {Object} letterObj - Letter object with a string
+     * @param {number} deltaTime - Frame time in seconds
+     * @param {boolean} limitLength - Keep segments at the rest length (off while the letter is placed by layout)
+     */
+    updateRope: function(letterObj, deltaTime, limitLength) {
+        const string = letterObj.string;
+        const points = string.points;
+        const attachPoint = BalloonStrings.getAttachPoint(letterObj);
+        const anchor = BalloonStrings.getAnchorPoint(letterObj);
+
+        // Move the free points with their own velocity and gravity
+        const step = Math.min(deltaTime, 1 / 30);
+        for (let i = 1; i < points.length - 1; i++) {
+            const point = points[i];
+            const velocityX = (point.x - point.previousX) * STRING_DAMPING;
+            const velocityY = (point.y - point.previousY) * STRING_DAMPING;
+            const velocityZ = (point.z - point.previousZ) * STRING_DAMPING;
+            point.previousX = point.x;
+            point.previousY = point.y;
+            point.previousZ = point.z;
+            point.x += velocityX;
+            point.y += velocityY - STRING_GRAVITY * step * step;
+            point.z += velocityZ;
+        }
+
+        // Pin both ends, then keep the segments at their length (a rope can go slack but not stretch)
+        const first = points[0];
+        const last = points[points.length - 1];
+        const reach = Math.hypot(attachPoint.x - anchor.x, attachPoint.y - anchor.y, attachPoint.z - anchor.z);
+        const segmentLength = (limitLength ? string.restLength : Math.max(string.restLength, reach)) / STRING_SEGMENTS;
+        for (let iteration = 0; iteration < STRING_CONSTRAINT_ITERATIONS; iteration++) {
+            first.x = anchor.x;
+            first.y = anchor.y;
+            first.z = anchor.z;
+            last.x = attachPoint.x;
+            last.y = attachPoint.y;
+            last.z = attachPoint.z;
+
+            for (let i = 0; i < points.length - 1; i++) {
+                const a = points[i];
+                const b = points[i + 1];
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const dz = b.z - a.z;
+                const distance = Math.hypot(dx, dy, dz);
+                if (distance <= segmentLength) continue;
+
+                // Move the free ends (pinned ends stay put)
+                const correction = (distance - segmentLength) / distance;
+                const aFree = i > 0;
+                const bFree = i + 1 < points.length - 1;
+                const share = aFree && bFree ? 0.5 : 1;
+                if (aFree) {
+                    a.x += dx * correction * share;
+                    a.y += dy * correction * share;
+                    a.z += dz * correction * share;
+                }
+                if (bFree) {
+                    b.x -= dx * correction * share;
+                    b.y -= dy * correction * share;
+                    b.z -= dz * correction * share;
+                }
+            }
+        }
+        first.x = anchor.x;
+        first.y = anchor.y;
+        first.z = anchor.z;
+        last.x = attachPoint.x;
+        last.y = attachPoint.y;
+        last.z = attachPoint.z;
+        first.previousX = first.x;
+        first.previousY = first.y;
+        first.previousZ = first.z;
+        last.previousX = last.x;
+        last.previousY = last.y;
+        last.previousZ = last.z;
+
+        // Update the line
+        const positions = string.line.geometry.getAttribute('position');
+        points.forEach((point, index) => positions.setXYZ(index, point.x, point.y, point.z));
+        positions.needsUpdate = true;
+    }
+};
+
+// Make BalloonStrings globally available
+window.BalloonStrings = BalloonStrings;
@@ -0,0 +1,293 @@
+/*
+ * Bidi Module - Right-to-Left and Bidirectional Text
+ * Author: Studio Video
+ *
+ * A compact take on the Unicode Bidirectional Algorithm (UAX #9) for single
+ * paragraphs without explicit embeddings: resolves character types, weak and
+ * neutral runs and embedding levels, then reorders each line into visual
+ * (left to right) order and mirrors brackets inside RTL runs. Also shapes
+ * connected Arabic letters into their contextual presentation forms when
+ * the font has those glyphs.
+ */
+
+// Arabic letters in Presentation Forms-B order: [code point, joining type]
+// D = joins on both sides (isolated, final, initial, medial forms), R = joins to the right only (isolated, final), U = no forms
+const ARABIC_LETTERS = [
+    [0x0621, 'U'], [0x0622, 'R'], [0x0623, 'R'], [0x0624, 'R'], [0x0625, 'R'], [0x0626, 'D'], [0x0627, 'R'],
+    [0x0628, 'D'], [0x0629, 'R'], [0x062A, 'D'], [0x062B, 'D'], [0x062C, 'D'], [0x062D, 'D'], [0x062E, 'D'],
+    [0x062F, 'R'], [0x0630, 'R'], [0x0631, 'R'], [0x0632, 'R'], [0x0633, 'D'], [0x0634, 'D'], [0x0635, 'D'],
+    [0x0636, 'D'], [0x0637, 'D'], [0x0638, 'D'], [0x0639, 'D'], [0x063A, 'D'], [0x0641, 'D'], [0x0642, 'D'],
+    [0x0643, 'D'], [0x0644, 'D'], [0x0645, 'D'], [0x0646, 'D'], [0x0647, 'D'], [0x0648, 'R'], [0x0649, 'R'],
+    [0x064A, 'D']
+];
+
+// code point -> { joining, isolated } where the other forms follow the isolated one
+const ARABIC_FORMS = {};
+(function buildArabicForms() {
+    let formCode = 0xFE80;
+    ARABIC_LETTERS.forEach(([code, joining]) => {
+        ARABIC_FORMS[code] = { joining: joining, isolated: formCode };
+        formCode += joining === 'D' ? 4 : joining === 'R' ? 2 : 1;
+    });
+})();
+
+// Lam + alef variants form one ligature: alef code point -> isolated ligature (final follows it)
+const LAM_ALEF_LIGATURES = { 0x0622: 0xFEF5, 0x0623: 0xFEF7, 0x0625: 0xFEF9, 0x0627: 0xFEFB };
+const ARABIC_LAM = 0x0644;
+const ARABIC_TATWEEL = 0x0640;
+
+// Brackets swap when they sit in a right-to-left run
+const MIRRORED_CHARS = { '(': ')', ')': '(', '[': ']', ']': '[', '{': '}', '}': '{', '<': '>', '>': '<', '«': '»', '»': '«' };
+
+// ========== BIDI NAMESPACE ==========
+const Bidi = {
+    /**
+     * Get the simplified bidi class of a character
+     * @param {string} char - Single character (a whole surrogate pair for astral characters)
+     * @returns {string} 'L', 'R', 'AL', 'EN', 'AN', 'ES', 'ET', 'CS', 'NSM', 'WS' or 'ON'
+     */
+    getCharType: function(char) {
+        const code = char.codePointAt(0);
+
+        if (code >= 0xDC00 && code <= 0xDFFF) return 'NSM'; // Second half of a surrogate pair follows the first
+        if (code >= 0x30 && code <= 0x39) return 'EN';
+        if (code >= 0x06F0 && code <= 0x06F9) return 'EN'; // Extended Arabic-Indic digits
+        if (code >= 0x0660 && code <= 0x0669) return 'AN'; // Arabic-Indic digits
+        if ((code >= 0x0300 && code <= 0x036F) || (code >= 0x0591 && code <= 0x05BD) ||
+            (code >= 0x05BF && code <= 0x05C7 && code !== 0x05C0 && code !== 0x05C3 && code !== 0x05C6) ||
+            (code >= 0x064B && code <= 0x065F) || code === 0x0670) return 'NSM'; // Combining marks and vowel points
+        if ((code >= 0x0590 && code <= 0x05FF) || (code >= 0x07C0 && code <= 0x089F) ||
+            (code >= 0xFB1D && code <= 0xFB4F)) return 'R'; // Hebrew and other RTL scripts
+        if ((code >= 0x0600 && code <= 0x06FF) || (code >= 0x0750 && code <= 0x077F) ||
+            (code >= 0x08A0 && code <= 0x08FF) || (code >= 0xFB50 && code <= 0xFDFF) ||
+            (code >= 0xFE70 && code <= 0xFEFF)) return 'AL'; // Arabic
+        if (/\s/.test(char)) return 'WS';
+        if (char === '+' || char === '-') return 'ES';
+        if ('#$%°¢£¤¥€₪'.includes(char)) return 'ET';
+        if (',.:/'.includes(char)) return 'CS';
+        if (/[\p{L}\p{M}]/u.test(char)) return 'L';
+        return 'ON';
+    },
+
+    /**
+     * Get a paragraph's base direction
+     * Uses the text direction setting, or the first strong character when it's 'auto'
+     * @param {string} paragraph - Paragraph text
+     * @returns {string} 'ltr' or 'rtl'
+     */
+    getParagraphDirection: function(paragraph) {
+        const setting = InflatableText.settings.textDirection;
+        if (setting === 'ltr' || setting === 'rtl') return setting;
+
+        for (let i = 0; i < paragraph.length; i++) {
+            const type = Bidi.getCharType(paragraph[i]);
+            if (type === 'L') return 'ltr';
+            if (type === 'R' || type === 'AL') return 'rtl';
+        }
+        return 'ltr';
+    },
+
+    /**
+     * Resolve the embedding level of every character in a line
+     * @param {string} line - Line of text in logical order
+     * @param {string} direction - Paragraph direction ('ltr' or 'rtl')
+     * @returns {Array<number>} Level per character (even = LTR, odd = RTL)
+     */
+    getLevels: function(line, direction) {
+        const baseLevel = direction === 'rtl' ? 1 : 0;
+        const baseType = baseLevel ? 'R' : 'L';
+        const count = line.length;
+        const types = [];
+        for (let i = 0; i < count; i++) {
+            types.push(Bidi.getCharType(String.fromCodePoint(line.codePointAt(i)))); // One entry per UTF-16 unit, like line[i]
+        }
+
+        // W1: marks take the type of the character before them
+        for (let i = 0; i < count; i++) {
+            if (types[i] === 'NSM') types[i] = i > 0 ? types[i - 1] : baseType;
+        }
+
+        // W2: European digits after Arabic letters are Arabic numbers; W3: AL becomes R
+        let lastStrong = baseType;
+        for (let i = 0; i < count; i++) {
+            if (types[i] === 'EN' && lastStrong === 'AL') types[i] = 'AN';
+            if (types[i] === 'L' || types[i] === 'R' || types[i] === 'AL') lastStrong = types[i];
+        }
+        for (let i = 0; i < count; i++) {
+            if (types[i] === 'AL') types[i] = 'R';
+        }
+
+        // W4: one separator between two numbers of the same kind joins them
+        for (let i = 1; i < count - 1; i++) {
+            const before = types[i - 1];
+            const after = types[i + 1];
+            if (types[i] === 'ES' && before === 'EN' && after === 'EN') types[i] = 'EN';
+            if (types[i] === 'CS' && before === after && (before === 'EN' || before === 'AN')) types[i] = before;
+        }
+
+        // W5: currency and percent signs next to European numbers join them
+        for (let i = 0; i < count; i++) {
+            if (types[i] !== 'ET') continue;
+            let end = i;
+            while (end < count && types[end] === 'ET') end++;
+            if ((i > 0 && types[i - 1] === 'EN') || (end < count && types[end] === 'EN')) {
+                for (let j = i; j < end; j++) types[j] = 'EN';
+            }
+            i = end - 1;
+        }
+
+        // W6: leftover separators are neutral; W7: European numbers in LTR context act as L
+        lastStrong = baseType;
+        for (let i = 0; i < count; i++) {
+            if (types[i] === 'ES' || types[i] === 'ET' || types[i] === 'CS') types[i] = 'ON';
+            if (types[i] === 'EN' && lastStrong === 'L') types[i] = 'L';
+            if (types[i] === 'L' || types[i] === 'R') lastStrong = types[i];
+        }
+
+        // N1/N2: neutrals between two runs of the same direction take it, otherwise the base direction
+        const strongDirection = (type) => (type === 'L' ? 'L' : (type === 'R' || type === 'EN' || type === 'AN') ? 'R' : null);
+        for (let i = 0; i < count; i++) {
+            if (types[i] !== 'WS' && types[i] !== 'ON') continue;
+            let end = i;
+            while (end < count && (types[end] === 'WS' || types[end] === 'ON')) end++;
+            const before = i > 0 ? strongDirection(types[i - 1]) : baseType;
+            const after = end < count ? strongDirection(types[end]) : baseType;
+            const resolved = before === after ? before : baseType;
+            for (let j = i; j < end; j++) types[j] = resolved;
+            i = end - 1;
+        }
+
+        // I1/I2: implicit levels
+        const levels = types.map(type => {
+            if (baseLevel === 0) {
+                return type === 'R' ? 1 : (type === 'EN' || type === 'AN') ? 2 : 0;
+            }
+            return type === 'R' ? 1 : 2; // L, EN and AN sit one level above an RTL paragraph
+        });
+
+        // L1: trailing whitespace goes back to the paragraph level
+        for (let i = count - 1; i >= 0 && /\s/.test(line[i]); i--) {
+            levels[i] = baseLevel;
+        }
+
+        return levels;
+    },
+
+    /**
+     * Reorder a line from logical to visual (left to right) order
+     * @param {string} line - Line of text in logical order
+     * @param {string} direction - Paragraph direction ('ltr' or 'rtl')
+     * @returns {Object} { text, indices } where indices[i] is the logical index of visual character i
+     */
+    reorderLine: function(line, direction) {
+        const levels = Bidi.getLevels(line, direction);
+        const indices = levels.map((level, index) => index);
+        const maxLevel = Math.max(0, ...levels);
+
+        // L2: from the highest level down to level 1, reverse every run at that level or above
+        // (a level 2 number inside an LTR line is reversed twice, so it still reads left to right)
+        for (let level = maxLevel; level >= 1; level--) {
+            let i = 0;
+            while (i < indices.length) {
+                if (levels[indices[i]] < level) {
+                    i++;
+                    continue;
+                }
+                let end = i;
+                while (end < indices.length && levels[indices[end]] >= level) end++;
+                const run = indices.slice(i, end).reverse();
+                indices.splice(i, run.length, ...run);
+                i = end;
+            }
+        }
+
+        // Reversing a run also reversed the surrogate pairs in it, so put each pair back in order
+        for (let i = 0; i < indices.length - 1; i++) {
+            const code = line.charCodeAt(indices[i]);
+            if (code >= 0xDC00 && code <= 0xDFFF && indices[i + 1] === indices[i] - 1) {
+                indices[i + 1] = indices[i];
+                indices[i] = indices[i] - 1;
+                i++;
+            }
+        }
+
+        // L4: mirror brackets in RTL runs
+        let text = '';
+        indices.forEach(index => {
+            const char = line[index];
+            text += levels[index] % 2 === 1 && MIRRORED_CHARS[char] ? MIRRORED_CHARS[char] : char;
+        });
+
+        return { text: text, indices: indices };
+    },
+
+    /**
+     * Shape Arabic letters into contextual forms (isolated, final, initial, medial)
+     * and lam-alef ligatures, keeping the base letter wherever the font lacks the form
+     * @param {string} line - Line of text in logical order
+     * @param {Function} hasGlyph - (char) => boolean, whether the font can draw a character
+     * @returns {Object} { text, indices } where indices[i] is the input index of output character i
+     */
+    shapeArabic: function(line, hasGlyph) {
+        const codes = [];
+        for (let i = 0; i < line.length; i++) codes.push(line.charCodeAt(i)); // Indexed like line[i]
+        const isTransparent = (code) => (code >= 0x064B && code <= 0x065F) || code === 0x0670;
+        const joinsForward = (code) => code === ARABIC_TATWEEL || (ARABIC_FORMS[code] && ARABIC_FORMS[code].joining === 'D');
+        const joinsBackward = (code) => code === ARABIC_TATWEEL || (ARABIC_FORMS[code] && ARABIC_FORMS[code].joining !== 'U');
+
+        // Nearest non-mark neighbours
+        const neighbor = (index, step) => {
+            for (let i = index + step; i >= 0 && i < codes.length; i += step) {
+                if (!isTransparent(codes[i])) return codes[i];
+            }
+            return null;
+        };
+
+        let text = '';
+        const indices = [];
+        const emit = (code, fallbackCode, index) => {
+            const char = String.fromCharCode(code);
+            text += hasGlyph(char) ? char : String.fromCharCode(fallbackCode);
+            indices.push(index);
+        };
+
+        for (let i = 0; i < codes.length; i++) {
+            const code = codes[i];
+            const forms = ARABIC_FORMS[code];
+            if (!forms) {
+                text += line[i];
+                indices.push(i);
+                continue;
+            }
+
+            const previous = neighbor(i, -1);
+            const next = neighbor(i, 1);
+            const joinsPrevious = previous !== null && joinsForward(previous) && joinsBackward(code);
+
+            // Lam followed by alef becomes one ligature glyph
+            if (code === ARABIC_LAM && next !== null && LAM_ALEF_LIGATURES[next] && codes[i + 1] === next) {
+                const ligature = LAM_ALEF_LIGATURES[next] + (joinsPrevious ? 1 : 0);
+                if (hasGlyph(String.fromCharCode(ligature))) {
+                    text += String.fromCharCode(ligature);
+                    indices.push(i);
+                    i++; // The alef is part of the ligature
+                    continue;
+                }
+            }
+
+            const joinsNext = next !== null && joinsForward(code) && joinsBackward(next);
+            let formCode = forms.isolated;
+            if (forms.joining === 'D') {
+                formCode += joinsPrevious && joinsNext ? 3 : joinsNext ? 2 : joinsPrevious ? 1 : 0;
+            } else if (forms.joining === 'R') {
+                formCode += joinsPrevious ? 1 : 0;
+            }
+            emit(formCode, code, i);
+        }
+
+        return { text: text, indices: indices };
+    }
+};
+
+// Make Bidi globally available
+window.Bidi = Bidi;
@@ -0,0 +1,174 @@
+/*
+ * Buoyancy Module - Lift and Air Drag
+ * Author: Studio Video
+ *
+ * Treats each letter as a real balloon: its volume (glyph area times its
+ * thickness) is filled with a gas or water, and its envelope weighs the
+ * material's density times its surface area. The difference between the air
+ * it displaces and its own weight lifts or sinks it, and quadratic air drag
+ * on its cross-section slows it to a terminal velocity, so helium letters
+ * drift up and settle against the ceiling while water balloons drop.
+ */
+
+const WORLD_UNIT_METERS = 0.2; // Size of one world unit (a 5-unit letter is about a meter tall, like a 40" foil letter)
+const GRAVITY_ACCELERATION = 9.81; // m/s²
+const AIR_DENSITY = 1.2; // kg/m³
+const DRAG_COEFFICIENT = 1.0; // Flat-ish body broadside to the flow
+const ADDED_MASS_FACTOR = 0.5; // Share of the displaced air a balloon drags along when it accelerates
+
+// ========== FILL PRESETS ==========
+const BALLOON_FILLS = {
+    'helium': { name: 'Helium', density: 0.18 },
+    'air': { name: 'Air-filled', density: 1.25 }, // Slightly above room pressure
+    'water': { name: 'Water Balloon', density: 1000 }
+};
+
+// ========== BUOYANCY NAMESPACE ==========
+const Buoyancy = {
+    bodyCache: new Map(), // Glyph volume and areas, keyed by glyph, font size and inflation
+
+    /**
+     * Measure a glyph as a balloon body (unscaled)
+     * @param {string} char - Character
+     * @param {number} fontSize - Font size in world units
+     * @returns {Object} { volume (m³), faceArea, surfaceArea (m²), width, height, thickness (m) }
+     */
+    getBody: function(char, fontSize) {
+        const settings = InflatableText.settings;
+        const resolved = FontChain.getGlyph(char);
+        const bevel = settings.inflationModel === 'bevel' ? fontSize * settings.targetBevelSize : 0;
+        const key = [resolved.char, resolved.font.data.familyName, fontSize, bevel, settings.extrudeDepth, settings.targetBevelThickness].join('|');
+        if (Buoyancy.bodyCache.has(key)) return Buoyancy.bodyCache.get(key);
+
+        // Outline area and perimeter (holes cut the area but add to the perimeter)
+        let area = 0;
+        let perimeter = 0;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        resolved.font.generateShapes(resolved.char, fontSize * resolved.sizeScale).forEach(shape => {
+            const outline = shape.extractPoints(COLLIDER_CURVE_SEGMENTS);
+            area += Math.abs(THREE.ShapeUtils.area(outline.shape));
+            perimeter += Buoyancy.getPerimeter(outline.shape);
+            outline.holes.forEach(hole => {
+                area -= Math.abs(THREE.ShapeUtils.area(hole));
+                perimeter += Buoyancy.getPerimeter(hole);
+            });
+            outline.shape.forEach(point => {
+                minX = Math.min(minX, point.x);
+                maxX = Math.max(maxX, point.x);
+                minY = Math.min(minY, point.y);
+                maxY = Math.max(maxY, point.y);
+            });
+        });
+
+        // The bevel widens the outline; the middle of the bulge is roughly the body's thickness
+        const meters = WORLD_UNIT_METERS;
+        const thickness = fontSize * (settings.extrudeDepth + settings.targetBevelThickness) * meters;
+        const faceArea = Math.max(area + perimeter * bevel, 0) * meters * meters;
+        const body = {
+            volume: faceArea * thickness,
+            faceArea: faceArea,
+            surfaceArea: faceArea * 2 + perimeter * meters * thickness,
+            width: area > 0 ? (maxX - minX + bevel * 2) * meters : 0,
+            height: area > 0 ? (maxY - minY + bevel * 2) * meters : 0,
+            thickness: thickness
+        };
+        Buoyancy.bodyCache.set(key, body);
+        return body;
+    },
+
+    /**
+     * Get the length of a closed outline
+     * @param {Array<THREE.Vector2>} points - Outline points
+     * @returns {number} Perimeter in world units
+     */
+    getPerimeter: function(points) {
+        let perimeter = 0;
+        points.forEach((point, index) => {
+            const next = points[(index + 1) % points.length];
+            perimeter += Math.hypot(next.x - point.x, next.y - point.y);
+        });
+        return perimeter;
+    },
+
+    /**
+     * Get a letter's mass and the air it displaces
+     * @param {Object} letterObj - Letter object
+     * @returns {Object} { body, scale, mass, weight, displaced } in kg (mass includes the air dragged along, weight doesn't)
+     */
+    getMass: function(letterObj) {
+        const settings = letterObj.settings;
+        const body = Buoyancy.getBody(letterObj.char, letterObj.fontSize);
+        const scale = letterObj.mesh ? letterObj.mesh.scale.x : 1;
+        const volume = body.volume * scale * scale * scale;
+
+        // Custom gravity letters count as air-filled for drag
+        const fill = BALLOON_FILLS[settings.balloonFill] || BALLOON_FILLS['air'];
+        const materialType = (letterObj.style && letterObj.style.material) || settings.selectedMaterial;
+        const preset = MATERIAL_PRESETS[materialType] || MATERIAL_PRESETS['helium-latex'];
+
+        const envelope = preset.envelopeDensity * body.surfaceArea * scale * scale;
+        const displaced = AIR_DENSITY * volume;
+        return {
+            body: body,
+            scale: scale,
+            mass: fill.density * volume + envelope + displaced * ADDED_MASS_FACTOR,
+            weight: fill.density * volume + envelope,
+            displaced: displaced
+        };
+    },
+
+    /**
+     * Add a letter's weight and lift to its acceleration
+     * @param {Object} letterObj - Letter object (settings.balloonFill names a fill preset)
+     * @param {Object} acceleration - { x, y } in world units per frame², added to in place
+     */
+    addLift: function(letterObj, acceleration) {
+        const mass = Buoyancy.getMass(letterObj);
+        if (mass.mass <= 0) return;
+
+        const force = (mass.displaced - mass.weight) * GRAVITY_ACCELERATION;
+        acceleration.y += Buoyancy.toWorldAcceleration(force / mass.mass);
+    },
+
+    /**
+     * Add quadratic air drag against a letter's velocity (never enough to reverse it within a frame)
+     * @param {Object} letterObj - Letter object
+     * @param {Object} acceleration - { x, y, z } in world units per frame², added to in place
+     * @param {number} deltaTime - Frame time in seconds
+     */
+    addDrag: function(letterObj, acceleration, deltaTime) {
+        const airDrag = letterObj.settings.airDrag;
+        const speed = Math.hypot(letterObj.velocity.x, letterObj.velocity.y, letterObj.velocity.z);
+        if (airDrag <= 0 || speed === 0) return;
+
+        const mass = Buoyancy.getMass(letterObj);
+        if (mass.mass <= 0) return;
+
+        // Cross-section facing the motion: edge-on across the page, the whole face toward or away from the camera
+        const directionX = letterObj.velocity.x / speed;
+        const directionY = letterObj.velocity.y / speed;
+        const directionZ = letterObj.velocity.z / speed;
+        const edgeArea = (Math.abs(directionX) * mass.body.height + Math.abs(directionY) * mass.body.width) * mass.body.thickness;
+        const crossSection = (edgeArea + Math.abs(directionZ) * mass.body.faceArea) * mass.scale * mass.scale;
+
+        const speedMeters = speed * 60 * WORLD_UNIT_METERS;
+        const dragForce = 0.5 * AIR_DENSITY * DRAG_COEFFICIENT * crossSection * speedMeters * speedMeters * airDrag;
+        const deceleration = Math.min(Buoyancy.toWorldAcceleration(dragForce / mass.mass), speed / (deltaTime * 60));
+
+        acceleration.x -= directionX * deceleration;
+        acceleration.y -= directionY * deceleration;
+        acceleration.z -= directionZ * deceleration;
+    },
+
+    /**
+     * Convert an acceleration to the physics step's units
+     * @param {number} metersPerSecondSquared - Acceleration in m/s²
+     * @returns {number} Acceleration in world units per frame² (at 60fps, like the gravity setting)
+     */
+    toWorldAcceleration: function(metersPerSecondSquared) {
+        return metersPerSecondSquared / WORLD_UNIT_METERS / 3600;
+    }
+};
+
+// Make Buoyancy globally available
+window.Buoyancy = Buoyancy;
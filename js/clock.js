@@ -81,16 +81,9 @@ function stopClockMode() {
         ClockMode.intervalId = null;
     }
 
-    // Clear all clock digits and colons
+    // Clear all clock digits and colons (colons live in letterMeshes too, so they exit with the digits)
     clearAllLetters();
     ClockMode.digitMeshes = {};
-    ClockMode.colonMeshes.forEach(colonObj => {
-        if (colonObj.mesh) {
-            InflatableText.scene.remove(colonObj.mesh);
-            colonObj.mesh.geometry.dispose();
-            colonObj.mesh.material.dispose();
-        }
-    });
     ClockMode.colonMeshes = [];
 
     // Restore normal bounding box settings
@@ -114,39 +107,26 @@ function calculateDigitPositions() {
     // We need positions for: [H][H][:][M][M][:][S][S]
     // Digit indices: 0, 1, 3, 4, 6, 7 (skip colons at 2 and 5)
 
-    const bounds = InflatableText.canvasBounds;
-    const boxWidth = bounds.maxX - bounds.minX;
-    const centerY = (bounds.minY + bounds.maxY) / 2;
-
-    // Use letter spacing setting to control digit spacing
-    // Use clock-specific font size instead of global font size
-    let charSpacing;
-    if (InflatableText.settings.autoSpacing) {
-        // Automatic spacing based on clock font size
-        charSpacing = ClockMode.clockFontSize * 1.2;
-    } else {
-        // Manual spacing - use letter spacing multiplier with clock font size
-        const baseSpacing = ClockMode.clockFontSize * 1.2;
-        charSpacing = baseSpacing * InflatableText.settings.letterSpacing;
-    }
+    // Lay out a sample time with the shared layout module, using the clock font size.
+    // Tabular digits keep every digit cell the same width so positions never shift.
+    const layout = TextLayout.layoutText('00:00:00', {
+        fontSize: ClockMode.clockFontSize,
+        randomSpawn: false,
+        pathLayout: false,
+        wrap: false,
+        fitToBox: false,
+        tabularDigits: true
+    });
 
-    // Calculate total width needed for all characters
-    const totalChars = 8;
-    const totalWidth = (totalChars - 1) * charSpacing; // -1 because spacing is between chars
-    const startX = -(totalWidth / 2); // Center the clock
-
-    ClockMode.digitPositions = [];
-    for (let i = 0; i < totalChars; i++) {
-        ClockMode.digitPositions.push({
-            x: startX + i * charSpacing,
-            y: centerY,
-            isColon: (i === 2 || i === 5) // Mark colon positions
-        });
-    }
+    ClockMode.digitPositions = layout.letters.map(letter => ({
+        x: letter.x,
+        y: letter.y,
+        isColon: (letter.sourceIndex === 2 || letter.sourceIndex === 5) // Mark colon positions
+    }));
 
     console.log('📐 Digit positions calculated:', ClockMode.digitPositions);
     console.log('   Spacing mode:', InflatableText.settings.autoSpacing ? 'Automatic' : 'Manual');
-    console.log('   Character spacing:', charSpacing.toFixed(2));
+    console.log('   Spacing scale:', layout.spacingScale.toFixed(2));
 }
 
 // ========== SPAWN INITIAL DIGITS ==========
@@ -0,0 +1,673 @@
+/*
+ * Collisions Module - Letter-to-Letter Collisions
+ * Author: Studio Video
+ *
+ * Broadphase: every moving letter goes into a uniform grid (a spatial hash)
+ * whose cells are as wide as the largest collider, so touching letters are
+ * always in the same or neighbouring cells. Narrowphase: only letters in
+ * neighbouring cells are tested and separated. Collision time is measured
+ * every frame, and benchmark() compares the grid against the all-pairs loop.
+ *
+ * Colliders are circles (fontSize * colliderSize, the default) or the convex hull of the
+ * glyph outline grown by the bevel size, which follows the letter's rotation
+ * and scale. Hulls are resolved with the separating axis test, and impulses
+ * that land off a letter's centre spin it (moment of inertia from the hull).
+ *
+ * Letters are slabs as deep as their geometry, so the physics box has depth:
+ * two letters only touch if they overlap front to back as well, and when the
+ * depth overlap is the smaller one they're pushed apart along z instead. The
+ * grid stays flat, since letters crowd the x-y plane far more than depth.
+ */
+
+const COLLISION_BENCHMARK_COUNTS = [100, 250, 500, 1000];
+const COLLISION_BENCHMARK_FRAMES = 60;
+const COLLIDER_CURVE_SEGMENTS = 6; // Outline points per curve when building glyph hulls
+const COLLIDER_CIRCLE_SIDES = 12; // Circle colliders become polygons when they touch a glyph collider
+
+// ========== COLLISIONS NAMESPACE ==========
+const Collisions = {
+    lastTime: 0, // Milliseconds spent on collisions last frame
+    averageTime: 0, // Smoothed collision time in milliseconds
+    hullCache: new Map(), // glyph key -> { points, radius, inertia } in letter space, or null for glyphs without an outline
+
+    // ========== SPATIAL HASH ==========
+
+    /**
+     * Create an empty uniform grid
+     * @param {number} cellSize - Cell width in world units
+     * @returns {Object} { cellSize, cells } where cells maps a cell key to the bodies in it
+     */
+    createGrid: function(cellSize) {
+        return { cellSize: cellSize, cells: new Map() };
+    },
+
+    /**
+     * Get the key of the cell at some cell coordinates
+     * @param {number} cellX - Cell column
+     * @param {number} cellY - Cell row
+     * @returns {number} Cell key
+     */
+    getCellKey: function(cellX, cellY) {
+        return (cellX + 32768) * 65536 + (cellY + 32768);
+    },
+
+    /**
+     * Add a body to the cell its position falls in
+     * @param {Object} grid - Grid from createGrid()
+     * @param {Object} body - Anything with position { x, y }
+     */
+    insertIntoGrid: function(grid, body) {
+        const key = Collisions.getCellKey(Math.floor(body.position.x / grid.cellSize), Math.floor(body.position.y / grid.cellSize));
+        const cell = grid.cells.get(key);
+        if (cell) {
+            cell.push(body);
+        } else {
+            grid.cells.set(key, [body]);
+        }
+    },
+
+    /**
+     * Call back for every body in a position's cell and the eight cells around it
+     * @param {Object} grid - Grid from createGrid()
+     * @param {Object} position - { x, y } in world units
+     * @param {Function} callback - Called with each nearby body
+     */
+    forEachNear: function(grid, position, callback) {
+        const cellX = Math.floor(position.x / grid.cellSize);
+        const cellY = Math.floor(position.y / grid.cellSize);
+
+        for (let offsetX = -1; offsetX <= 1; offsetX++) {
+            for (let offsetY = -1; offsetY <= 1; offsetY++) {
+                const cell = grid.cells.get(Collisions.getCellKey(cellX + offsetX, cellY + offsetY));
+                if (cell) cell.forEach(callback);
+            }
+        }
+    },
+
+    // ========== LETTER COLLISIONS ==========
+
+    /**
+     * Check whether a letter takes part in collisions
+     * Static letters (clock digits), letters gliding to a new slot and dying letters don't
+     * @param {Object} letterObj - Letter object
+     * @returns {boolean} True if the letter collides
+     */
+    isCollidable: function(letterObj) {
+        return !letterObj.isStatic && !letterObj.glideTarget && !letterObj.isDying;
+    },
+
+    /**
+     * Get how far a letter reaches in front of and behind its centre
+     * @param {Object} letterObj - Letter object
+     * @returns {number} Half depth in world units
+     */
+    getHalfDepth: function(letterObj) {
+        const box = letterObj.mesh && letterObj.mesh.geometry.boundingBox;
+        if (!box) return letterObj.fontSize * InflatableText.settings.extrudeDepth / 2;
+        return (box.max.z - box.min.z) / 2 * letterObj.mesh.scale.z;
+    },
+
+    /**
+     * Get a letter's circle collision radius from its font size and its block's collider size
+     * @param {Object} letterObj - Letter object
+     * @returns {number} Radius in world units
+     */
+    getRadius: function(letterObj) {
+        return letterObj.fontSize * letterObj.settings.colliderSize;
+    },
+
+    // ========== GLYPH COLLIDERS ==========
+
+    /**
+     * Get the convex hull of a glyph, centered like the letter geometry and grown by the bevel
+     * @param {string} char - Character
+     * @param {number} fontSize - Font size in world units
+     * @returns {Object|null} { points: [{ x, y }] counter-clockwise, radius, inertia (per unit mass) },
+     *                        or null if the glyph has no outline
+     */
+    getGlyphHull: function(char, fontSize) {
+        const settings = InflatableText.settings;
+        const resolved = FontChain.getGlyph(char);
+        const bevel = settings.inflationModel === 'bevel' ? fontSize * settings.targetBevelSize : 0;
+        const key = [resolved.char, resolved.font.data.familyName, fontSize, bevel].join('|');
+        if (Collisions.hullCache.has(key)) return Collisions.hullCache.get(key);
+
+        const points = [];
+        resolved.font.generateShapes(resolved.char, fontSize * resolved.sizeScale).forEach(shape => {
+            shape.extractPoints(COLLIDER_CURVE_SEGMENTS).shape.forEach(point => points.push({ x: point.x, y: point.y }));
+        });
+
+        let hull = points.length >= 3 ? Collisions.computeConvexHull(points) : [];
+        if (hull.length < 3) {
+            Collisions.hullCache.set(key, null);
+            return null;
+        }
+
+        // Letter geometry is centered on its outline's bounding box
+        const xs = points.map(point => point.x);
+        const ys = points.map(point => point.y);
+        const centerX = (Math.min(...xs) + Math.max(...xs)) / 2;
+        const centerY = (Math.min(...ys) + Math.max(...ys)) / 2;
+        hull = hull.map(point => ({ x: point.x - centerX, y: point.y - centerY }));
+
+        // The bevel pushes the outline outward
+        if (bevel > 0) {
+            hull = Collisions.offsetPolygon(hull, bevel);
+        }
+
+        const radius = Math.max(...hull.map(point => Math.hypot(point.x, point.y)));
+        const entry = { points: hull, radius: radius, inertia: Collisions.getPolygonInertia(hull) };
+        Collisions.hullCache.set(key, entry);
+        return entry;
+    },
+
+    /**
+     * Get the moment of inertia of a solid polygon about the origin, per unit mass
+     * @param {Array<Object>} points - Polygon points, counter-clockwise
+     * @returns {number} Moment of inertia divided by mass (world units²)
+     */
+    getPolygonInertia: function(points) {
+        let numerator = 0;
+        let denominator = 0;
+        points.forEach((a, index) => {
+            const b = points[(index + 1) % points.length];
+            const cross = a.x * b.y - b.x * a.y;
+            numerator += cross * (a.x * a.x + a.y * a.y + a.x * b.x + a.y * b.y + b.x * b.x + b.y * b.y);
+            denominator += cross;
+        });
+        return denominator > 0 ? numerator / (6 * denominator) : 0;
+    },
+
+    /**
+     * Compute the convex hull of some points (monotone chain)
+     * @param {Array<Object>} points - { x, y } points
+     * @returns {Array<Object>} Hull points, counter-clockwise
+     */
+    computeConvexHull: function(points) {
+        const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+        const lower = [];
+        sorted.forEach(point => {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) lower.pop();
+            lower.push(point);
+        });
+
+        const upper = [];
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            const point = sorted[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) upper.pop();
+            upper.push(point);
+        }
+
+        lower.pop();
+        upper.pop();
+        return lower.concat(upper);
+    },
+
+    /**
+     * Grow a convex counter-clockwise polygon outward
+     * @param {Array<Object>} points - Polygon points
+     * @param {number} distance - How far each edge moves out
+     * @returns {Array<Object>} Grown polygon
+     */
+    offsetPolygon: function(points, distance) {
+        const count = points.length;
+        const edgeNormal = (a, b) => {
+            const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+            return { x: (b.y - a.y) / length, y: -(b.x - a.x) / length };
+        };
+
+        return points.map((point, index) => {
+            const before = edgeNormal(points[(index - 1 + count) % count], point);
+            const after = edgeNormal(point, points[(index + 1) % count]);
+
+            // Move along the corner bisector far enough that both edges move by distance (capped at sharp corners)
+            const bisectorX = before.x + after.x;
+            const bisectorY = before.y + after.y;
+            const bisectorLength = Math.hypot(bisectorX, bisectorY) || 1;
+            const cosine = Math.max((bisectorX * after.x + bisectorY * after.y) / bisectorLength, 0.5);
+            const shift = distance / cosine / bisectorLength;
+
+            return { x: point.x + bisectorX * shift, y: point.y + bisectorY * shift };
+        });
+    },
+
+    /**
+     * Place a letter's collider in the world for this frame
+     * Sets letterObj.collider ({ points } in world units, or null for a circle), letterObj.collisionRadius
+     * and letterObj.collisionDepth (half depth)
+     * @param {Object} letterObj - Letter object
+     */
+    updateCollider: function(letterObj) {
+        letterObj.collisionDepth = Collisions.getHalfDepth(letterObj);
+
+        const useGlyph = letterObj.settings.colliderShape === 'glyph' && letterObj.mesh && letterObj.char;
+        const hull = useGlyph ? Collisions.getGlyphHull(letterObj.char, letterObj.fontSize) : null;
+
+        if (!hull) {
+            letterObj.collider = null;
+            letterObj.collisionRadius = Collisions.getRadius(letterObj);
+            letterObj.momentOfInertia = letterObj.collisionRadius * letterObj.collisionRadius / 2; // Solid disc
+            return;
+        }
+
+        const scale = letterObj.mesh.scale.x;
+        const cos = Math.cos(letterObj.mesh.rotation.z) * scale;
+        const sin = Math.sin(letterObj.mesh.rotation.z) * scale;
+        const x = letterObj.position.x;
+        const y = letterObj.position.y;
+
+        letterObj.collider = {
+            points: hull.points.map(point => ({
+                x: x + point.x * cos - point.y * sin,
+                y: y + point.x * sin + point.y * cos
+            }))
+        };
+        letterObj.collisionRadius = hull.radius * scale;
+        letterObj.momentOfInertia = hull.inertia * scale * scale;
+    },
+
+    /**
+     * Get the point of a letter's collider furthest in some direction
+     * @param {Object} letterObj - Letter object
+     * @param {number} directionX - Direction (unit vector)
+     * @param {number} directionY - Direction (unit vector)
+     * @returns {Object} { x, y } offset from the letter's centre in world units
+     */
+    getSupportOffset: function(letterObj, directionX, directionY) {
+        const hull = letterObj.collider ? letterObj.collider.points : null;
+        if (!hull) {
+            return { x: directionX * letterObj.collisionRadius, y: directionY * letterObj.collisionRadius };
+        }
+
+        let best = hull[0];
+        let bestProjection = -Infinity;
+        hull.forEach(point => {
+            const projection = point.x * directionX + point.y * directionY;
+            if (projection > bestProjection) {
+                bestProjection = projection;
+                best = point;
+            }
+        });
+        return { x: best.x - letterObj.position.x, y: best.y - letterObj.position.y };
+    },
+
+    /**
+     * Spin a letter by an impulse landing at some offset from its centre
+     * The lever arm also makes the letter harder to push there, so the spin uses I + (r x n)² rather than I
+     * @param {Object} letterObj - Letter object (momentOfInertia set)
+     * @param {Object} offset - { x, y } from the letter's centre to where the impulse lands
+     * @param {number} impulseX - Velocity change the impulse gives the letter
+     * @param {number} impulseY - Velocity change the impulse gives the letter
+     */
+    applyTorque: function(letterObj, offset, impulseX, impulseY) {
+        const impulse = Math.hypot(impulseX, impulseY);
+        if (letterObj.angularVelocity === undefined || !letterObj.momentOfInertia || impulse === 0) return;
+
+        const leverArm = (offset.x * impulseY - offset.y * impulseX) / impulse;
+        letterObj.angularVelocity += leverArm * impulse / (letterObj.momentOfInertia + leverArm * leverArm);
+    },
+
+    /**
+     * Spin a letter that bounced off the bounding box, from the point of its collider touching the wall
+     * @param {Object} letterObj - Letter object
+     * @param {number} impulseX - Velocity change from the bounce
+     * @param {number} impulseY - Velocity change from the bounce
+     */
+    applyWallHit: function(letterObj, impulseX, impulseY) {
+        Collisions.updateCollider(letterObj);
+
+        // The wall pushes back against the side of the letter it touches
+        const length = Math.hypot(impulseX, impulseY);
+        const offset = Collisions.getSupportOffset(letterObj, -impulseX / length, -impulseY / length);
+        Collisions.applyTorque(letterObj, offset, impulseX, impulseY);
+    },
+
+    // ========== LETTER COLLISIONS ==========
+
+    /**
+     * Get the letters that collide this frame with their colliders in place
+     * @param {Array<Object>} letters - Letter objects
+     * @returns {Array<Object>} Collidable letters (collider, collisionRadius, collisionDepth and collisionIndex set)
+     */
+    prepareBodies: function(letters) {
+        const bodies = [];
+        letters.forEach(letterObj => {
+            if (!Collisions.isCollidable(letterObj)) return;
+
+            Collisions.updateCollider(letterObj);
+            letterObj.collisionIndex = bodies.length;
+            bodies.push(letterObj);
+        });
+        return bodies;
+    },
+
+    /**
+     * Separate overlapping letters and bounce them apart (called once per frame)
+     * @param {Array<Object>} letters - Letter objects
+     */
+    resolveLetterCollisions: function(letters) {
+        const startTime = performance.now();
+
+        // Colliders once per letter, and the largest one sizes the grid cells
+        const bodies = Collisions.prepareBodies(letters);
+        const maxRadius = bodies.reduce((max, body) => Math.max(max, body.collisionRadius), 0);
+
+        if (bodies.length > 1 && maxRadius > 0) {
+            const grid = Collisions.createGrid(maxRadius * 2);
+            bodies.forEach(body => Collisions.insertIntoGrid(grid, body));
+
+            // Each pair once: a letter only tests neighbours that come after it
+            bodies.forEach(letterA => {
+                Collisions.forEachNear(grid, letterA.position, letterB => {
+                    if (letterB.collisionIndex > letterA.collisionIndex) {
+                        Collisions.resolvePair(letterA, letterB);
+                    }
+                });
+            });
+        }
+
+        Collisions.lastTime = performance.now() - startTime;
+        Collisions.averageTime += (Collisions.lastTime - Collisions.averageTime) * 0.05;
+    },
+
+    /**
+     * Find how two circle colliders overlap
+     * @param {Object} letterA - Letter object
+     * @param {Object} letterB - Letter object
+     * @returns {Object|null} { nx, ny, depth } with the normal pointing from A to B, or null if apart
+     */
+    getCircleContact: function(letterA, letterB) {
+        const dx = letterB.position.x - letterA.position.x;
+        const dy = letterB.position.y - letterA.position.y;
+        const minDistance = letterA.collisionRadius + letterB.collisionRadius;
+        const distanceSquared = dx * dx + dy * dy;
+
+        if (distanceSquared >= minDistance * minDistance || distanceSquared === 0) return null;
+
+        const distance = Math.sqrt(distanceSquared);
+        return { nx: dx / distance, ny: dy / distance, depth: minDistance - distance };
+    },
+
+    /**
+     * Find how two polygon colliders overlap (separating axis test)
+     * A circle collider meeting a glyph collider is treated as a regular polygon
+     * @param {Object} letterA - Letter object
+     * @param {Object} letterB - Letter object
+     * @returns {Object|null} { nx, ny, depth } with the normal pointing from A to B, or null if apart
+     */
+    getPolygonContact: function(letterA, letterB) {
+        const dx = letterB.position.x - letterA.position.x;
+        const dy = letterB.position.y - letterA.position.y;
+        const reach = letterA.collisionRadius + letterB.collisionRadius;
+        if (dx * dx + dy * dy >= reach * reach) return null;
+
+        const polygonA = letterA.collider ? letterA.collider.points : Collisions.getCirclePolygon(letterA);
+        const polygonB = letterB.collider ? letterB.collider.points : Collisions.getCirclePolygon(letterB);
+
+        const project = (polygon, axisX, axisY) => {
+            let min = Infinity;
+            let max = -Infinity;
+            polygon.forEach(point => {
+                const projection = point.x * axisX + point.y * axisY;
+                if (projection < min) min = projection;
+                if (projection > max) max = projection;
+            });
+            return { min: min, max: max };
+        };
+
+        // The edge normal with the least overlap separates the letters fastest
+        let contact = null;
+        for (const polygon of [polygonA, polygonB]) {
+            for (let i = 0; i < polygon.length; i++) {
+                const a = polygon[i];
+                const b = polygon[(i + 1) % polygon.length];
+                const length = Math.hypot(b.x - a.x, b.y - a.y);
+                if (length === 0) continue;
+
+                const axisX = (b.y - a.y) / length;
+                const axisY = -(b.x - a.x) / length;
+                const rangeA = project(polygonA, axisX, axisY);
+                const rangeB = project(polygonB, axisX, axisY);
+                const overlap = Math.min(rangeA.max, rangeB.max) - Math.max(rangeA.min, rangeB.min);
+
+                if (overlap <= 0) return null; // Separating axis found
+                if (!contact || overlap < contact.depth) {
+                    contact = { nx: axisX, ny: axisY, depth: overlap };
+                }
+            }
+        }
+
+        // Point the normal from A to B
+        if (contact.nx * dx + contact.ny * dy < 0) {
+            contact.nx = -contact.nx;
+            contact.ny = -contact.ny;
+        }
+        return contact;
+    },
+
+    /**
+     * Get a circle collider as a regular polygon
+     * @param {Object} letterObj - Letter object (collisionRadius set)
+     * @returns {Array<Object>} { x, y } points in world units
+     */
+    getCirclePolygon: function(letterObj) {
+        const points = [];
+        for (let i = 0; i < COLLIDER_CIRCLE_SIDES; i++) {
+            const angle = (i / COLLIDER_CIRCLE_SIDES) * Math.PI * 2;
+            points.push({
+                x: letterObj.position.x + Math.cos(angle) * letterObj.collisionRadius,
+                y: letterObj.position.y + Math.sin(angle) * letterObj.collisionRadius
+            });
+        }
+        return points;
+    },
+
+    /**
+     * Separate two letters if their colliders overlap and bounce them apart if they're approaching
+     * @param {Object} letterA - Letter object (collider, collisionRadius and collisionDepth set)
+     * @param {Object} letterB - Letter object (collider, collisionRadius and collisionDepth set)
+     */
+    resolvePair: function(letterA, letterB) {
+        // Letters one behind the other pass by
+        const dz = letterB.position.z - letterA.position.z;
+        const depthOverlap = letterA.collisionDepth + letterB.collisionDepth - Math.abs(dz);
+        if (depthOverlap <= 0) return;
+
+        const contact = letterA.collider || letterB.collider
+            ? Collisions.getPolygonContact(letterA, letterB)
+            : Collisions.getCircleContact(letterA, letterB);
+        if (!contact) return;
+
+        // Barely overlapping in depth: push them apart front to back (if the box is deep enough to hold them that way)
+        const bounds = InflatableText.canvasBounds;
+        const roomInDepth = bounds.maxZ - bounds.minZ >= letterA.collisionDepth + letterB.collisionDepth;
+        const alongZ = roomInDepth && depthOverlap < contact.depth;
+        const nx = alongZ ? 0 : contact.nx;
+        const ny = alongZ ? 0 : contact.ny;
+        const nz = alongZ ? (dz < 0 ? -1 : 1) : 0;
+        const depth = alongZ ? depthOverlap : contact.depth;
+
+        // Separate overlapping letters
+        const separationX = nx * depth * 0.5;
+        const separationY = ny * depth * 0.5;
+        const separationZ = nz * depth * 0.5;
+
+        letterA.position.x -= separationX;
+        letterA.position.y -= separationY;
+        letterA.position.z -= separationZ;
+        letterB.position.x += separationX;
+        letterB.position.y += separationY;
+        letterB.position.z += separationZ;
+
+        // Calculate relative velocity
+        const dvx = letterB.velocity.x - letterA.velocity.x;
+        const dvy = letterB.velocity.y - letterA.velocity.y;
+        const dvz = letterB.velocity.z - letterA.velocity.z;
+        const relativeVelocity = dvx * nx + dvy * ny + dvz * nz;
+
+        // Only resolve if letters are moving towards each other
+        if (relativeVelocity < 0) {
+            // Determine collision strength (average when letters come from different blocks)
+            let collisionStrength = (letterA.settings.bounciness + letterB.settings.bounciness) / 2;
+
+            // If both are flying digits, use special collision strength
+            if (letterA.isFlyingDigit && letterB.isFlyingDigit && window.ClockMode && window.ClockMode.isActive && window.ClockMode.isActive() && window.ClockMode.oldDigitSettings) {
+                collisionStrength = window.ClockMode.oldDigitSettings.collisionStrength;
+            }
+
+            // Apply collision response with strength
+            const impulse = relativeVelocity * collisionStrength;
+            letterA.velocity.x += impulse * nx;
+            letterA.velocity.y += impulse * ny;
+            letterA.velocity.z += impulse * nz;
+            letterB.velocity.x -= impulse * nx;
+            letterB.velocity.y -= impulse * ny;
+            letterB.velocity.z -= impulse * nz;
+
+            // Glyph contacts land off-centre, so they spin the letters (midpoint of the deepest points)
+            // Front-to-back pushes would only tip letters over, and letters only turn about z
+            if (!alongZ && (letterA.collider || letterB.collider)) {
+                const supportA = Collisions.getSupportOffset(letterA, nx, ny);
+                const supportB = Collisions.getSupportOffset(letterB, -nx, -ny);
+                const contactX = (letterA.position.x + supportA.x + letterB.position.x + supportB.x) / 2;
+                const contactY = (letterA.position.y + supportA.y + letterB.position.y + supportB.y) / 2;
+
+                Collisions.applyTorque(letterA, { x: contactX - letterA.position.x, y: contactY - letterA.position.y }, impulse * nx, impulse * ny);
+                Collisions.applyTorque(letterB, { x: contactX - letterB.position.x, y: contactY - letterB.position.y }, -impulse * nx, -impulse * ny);
+            }
+        }
+    },
+
+    /**
+     * Resolve collisions by testing every pair (the old O(n²) loop, kept for benchmarking)
+     * @param {Array<Object>} letters - Letter objects
+     */
+    resolveAllPairs: function(letters) {
+        const bodies = Collisions.prepareBodies(letters);
+
+        for (let i = 0; i < bodies.length; i++) {
+            for (let j = i + 1; j < bodies.length; j++) {
+                Collisions.resolvePair(bodies[i], bodies[j]);
+            }
+        }
+    },
+
+    /**
+     * Time both collision methods on random letters moving around the bounding box
+     * Uses stand-in bodies with glyph hull colliders (the costlier shape), so the letters on screen are untouched.
+     * The bodies move and bounce off the walls between frames like real letters, so pairs keep meeting, and
+     * each frame runs in its own timeout so the page keeps drawing while the benchmark runs
+     * @param {Function} onComplete - (results) => void, called with { letters, grid, allPairs } -
+     *                                milliseconds per frame for each count
+     * @param {Array<number>} counts - Letter counts to test
+     */
+    benchmark: function(onComplete, counts = COLLISION_BENCHMARK_COUNTS) {
+        const bounds = InflatableText.canvasBounds;
+        const settings = Object.assign({}, InflatableText.settings, { colliderShape: 'glyph' });
+
+        const createBodies = (count) => {
+            const bodies = [];
+            for (let i = 0; i < count; i++) {
+                const rotation = (Math.random() - 0.5) * Math.PI;
+                bodies.push({
+                    char: PREWARM_CHARS[i % PREWARM_CHARS.length],
+                    mesh: { scale: { x: 1, y: 1, z: 1 }, rotation: { z: rotation }, geometry: {} }, // Just what updateCollider reads
+                    position: {
+                        x: bounds.minX + Math.random() * (bounds.maxX - bounds.minX),
+                        y: bounds.minY + Math.random() * (bounds.maxY - bounds.minY),
+                        z: bounds.minZ + Math.random() * (bounds.maxZ - bounds.minZ)
+                    },
+                    velocity: { x: Math.random() - 0.5, y: Math.random() - 0.5, z: Math.random() - 0.5 },
+                    rotation: rotation,
+                    angularVelocity: 0,
+                    fontSize: settings.fontSize,
+                    settings: settings
+                });
+            }
+            return bodies;
+        };
+
+        // One physics step without forces: move, spin and bounce off the walls
+        const moveBodies = (bodies) => {
+            bodies.forEach(body => {
+                ['x', 'y', 'z'].forEach(axis => {
+                    const min = bounds['min' + axis.toUpperCase()];
+                    const max = bounds['max' + axis.toUpperCase()];
+                    body.position[axis] += body.velocity[axis];
+                    if (body.position[axis] < min) {
+                        body.position[axis] = min;
+                        body.velocity[axis] = Math.abs(body.velocity[axis]);
+                    } else if (body.position[axis] > max) {
+                        body.position[axis] = max;
+                        body.velocity[axis] = -Math.abs(body.velocity[axis]);
+                    }
+                });
+                body.rotation += body.angularVelocity;
+                body.mesh.rotation.z = body.rotation;
+            });
+        };
+
+        // Time one call, leaving the live stats to the real letters
+        const timeResolve = (resolve, bodies) => {
+            const lastTime = Collisions.lastTime;
+            const averageTime = Collisions.averageTime;
+            const startTime = performance.now();
+            resolve(bodies);
+            const elapsed = performance.now() - startTime;
+            Collisions.lastTime = lastTime;
+            Collisions.averageTime = averageTime;
+            return elapsed;
+        };
+
+        const results = counts.map(count => ({ letters: count, grid: 0, allPairs: 0 }));
+        const runs = [];
+        results.forEach(result => {
+            runs.push({ result: result, key: 'grid', resolve: Collisions.resolveLetterCollisions });
+            runs.push({ result: result, key: 'allPairs', resolve: Collisions.resolveAllPairs });
+        });
+
+        let runIndex = 0;
+        let frame = 0;
+        let bodies = null;
+        let elapsed = 0;
+
+        const step = () => {
+            const run = runs[runIndex];
+            if (frame === 0) {
+                bodies = createBodies(run.result.letters);
+                timeResolve(run.resolve, bodies); // Untimed, so building the glyph hulls isn't counted
+                elapsed = 0;
+            }
+
+            elapsed += timeResolve(run.resolve, bodies);
+            moveBodies(bodies);
+            frame++;
+
+            if (frame === COLLISION_BENCHMARK_FRAMES) {
+                run.result[run.key] = elapsed / COLLISION_BENCHMARK_FRAMES;
+                runIndex++;
+                frame = 0;
+            }
+
+            if (runIndex < runs.length) {
+                setTimeout(step, 0);
+                return;
+            }
+
+            console.log('⏱️ Collision benchmark, glyph colliders (ms per frame):');
+            console.table(results.map(result => ({
+                letters: result.letters,
+                grid: result.grid.toFixed(3),
+                allPairs: result.allPairs.toFixed(3)
+            })));
+            onComplete(results);
+        };
+
+        setTimeout(step, 0);
+    }
+};
+
+// Make Collisions globally available
+window.Collisions = Collisions;
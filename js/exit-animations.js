@@ -0,0 +1,243 @@
+/*
+ * Exit Animations Module - Deflate, Pop and Float Away
+ * Author: Studio Video
+ *
+ * Plays an exit animation when a letter is removed. Dying letters stay in
+ * InflatableText.letterMeshes (flagged isDying) until their animation ends,
+ * then updateLetters() disposes them.
+ */
+
+// ========== EXIT ANIMATION PRESETS ==========
+const EXIT_ANIMATIONS = {
+    'deflate': {
+        name: 'Deflate',
+        duration: 0.6 // Seconds at exit speed 1
+    },
+    'pop': {
+        name: 'Pop',
+        duration: 0.9,
+        swellTime: 0.12, // Seconds spent swelling before the burst
+        shredCount: 16
+    },
+    'float': {
+        name: 'Float Away',
+        duration: 2.5
+    }
+};
+
+// ========== EXIT ANIMATIONS NAMESPACE ==========
+const ExitAnimations = {
+    /**
+     * Start a letter's exit animation
+     * The letter stops inflating, gliding and colliding and is removed once the animation ends
+     * @param {Object} letterObj - Letter object from InflatableText.letterMeshes
+     * @param {string} type - Exit animation key (default: from settings)
+     */
+    start: function(letterObj, type = null) {
+        if (letterObj.isDying || !letterObj.mesh) return;
+
+        const exitType = type || InflatableText.settings.exitAnimation;
+        if (!EXIT_ANIMATIONS[exitType]) {
+            console.warn(`⚠️ Unknown exit animation "${exitType}", using deflate`);
+        }
+
+        letterObj.isDying = true;
+        letterObj.isInflating = false;
+        letterObj.glideTarget = null;
+        letterObj.exit = {
+            type: EXIT_ANIMATIONS[exitType] ? exitType : 'deflate',
+            elapsed: 0,
+            startInflation: letterObj.inflationUniform.value,
+            startScale: letterObj.mesh.scale.x,
+            swayPhase: Math.random() * Math.PI * 2,
+            shreds: null
+        };
+    },
+
+    /**
+     * Advance a dying letter's exit animation
+     * @param {Object} letterObj - Dying letter object
+     * @param {number} deltaTime - Frame time in seconds
+     * @returns {boolean} True once the animation has finished and the letter can be disposed
+     */
+    update: function(letterObj, deltaTime) {
+        const exit = letterObj.exit;
+        const preset = EXIT_ANIMATIONS[exit.type];
+
+        exit.elapsed += deltaTime * InflatableText.settings.exitSpeed;
+        const t = Math.min(exit.elapsed / preset.duration, 1);
+
+        switch (exit.type) {
+            case 'pop':
+                ExitAnimations.updatePop(letterObj, t, deltaTime);
+                break;
+            case 'float':
+                ExitAnimations.updateFloat(letterObj, t, deltaTime);
+                break;
+            default:
+                ExitAnimations.updateDeflate(letterObj, t);
+        }
+
+        if (t >= 1) {
+            ExitAnimations.disposeShreds(letterObj);
+            return true;
+        }
+        return false;
+    },
+
+    /**
+     * Deflate: bevel animates back to 0, then the flat letter shrinks away
+     * @param {Object} letterObj - Dying letter object
+     * @param {number} t - Animation progress (0-1)
+     */
+    updateDeflate: function(letterObj, t) {
+        const exit = letterObj.exit;
+        const deflateEnd = 0.8; // Last 20% shrinks the flat letter out
+
+        // Ease-in so air rushes out faster toward the end
+        const deflation = EasingFunctions.easeIn(Math.min(t / deflateEnd, 1));
+        letterObj.inflationUniform.value = exit.startInflation * (1 - deflation);
+
+        const shrink = t > deflateEnd ? (t - deflateEnd) / (1 - deflateEnd) : 0;
+        const scale = exit.startScale * (1 - shrink);
+        letterObj.mesh.scale.set(scale, scale, scale);
+    },
+
+    /**
+     * Pop: the letter swells, bursts, and scatters shreds that fall and fade
+     * @param {Object} letterObj - Dying letter object
+     * @param {number} t - Animation progress (0-1)
+     * @param {number} deltaTime - Frame time in seconds
+     */
+    updatePop: function(letterObj, t, deltaTime) {
+        const exit = letterObj.exit;
+        const preset = EXIT_ANIMATIONS.pop;
+        const swellEnd = preset.swellTime / preset.duration;
+
+        if (t < swellEnd) {
+            // Swell with a tremble just before bursting
+            const swell = t / swellEnd;
+            const tremble = Math.sin(exit.elapsed * 120) * 0.02 * swell;
+            const scale = exit.startScale * (1 + swell * 0.2 + tremble);
+            letterObj.mesh.scale.set(scale, scale, scale);
+            return;
+        }
+
+        if (!exit.shreds) {
+            ExitAnimations.burst(letterObj);
+        }
+
+        // Shreds fly out, fall and fade
+        const fadeProgress = (t - swellEnd) / (1 - swellEnd);
+        const step = deltaTime * InflatableText.settings.exitSpeed;
+        exit.shreds.meshes.forEach(shred => {
+            shred.userData.velocity.y -= 30 * step;
+            shred.position.addScaledVector(shred.userData.velocity, step);
+            shred.rotation.x += shred.userData.spin.x * step;
+            shred.rotation.y += shred.userData.spin.y * step;
+            shred.rotation.z += shred.userData.spin.z * step;
+        });
+        exit.shreds.material.opacity = 1 - fadeProgress * fadeProgress;
+    },
+
+    /**
+     * Hide the letter and spawn shreds across its outline
+     * @param {Object} letterObj - Dying letter object
+     */
+    burst: function(letterObj) {
+        const fontSize = letterObj.fontSize;
+        const shredSize = fontSize * 0.15;
+        const mesh = letterObj.mesh;
+
+        mesh.geometry.computeBoundingBox();
+        const box = mesh.geometry.boundingBox;
+
+        // One shared triangle geometry and material per burst
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute([
+            -shredSize, -shredSize * 0.6, 0,
+            shredSize, -shredSize * 0.4, 0,
+            0, shredSize, 0
+        ], 3));
+        geometry.computeVertexNormals();
+
+        const material = new THREE.MeshStandardMaterial({
+            color: mesh.material.color ? mesh.material.color.clone() : 0xffffff,
+            roughness: 0.4,
+            side: THREE.DoubleSide,
+            transparent: true
+        });
+
+        const meshes = [];
+        for (let i = 0; i < EXIT_ANIMATIONS.pop.shredCount; i++) {
+            const shred = new THREE.Mesh(geometry, material);
+            const offsetX = THREE.MathUtils.randFloat(box.min.x, box.max.x) * mesh.scale.x;
+            const offsetY = THREE.MathUtils.randFloat(box.min.y, box.max.y) * mesh.scale.y;
+            const angle = Math.atan2(offsetY, offsetX) + THREE.MathUtils.randFloatSpread(0.6);
+            const speed = fontSize * THREE.MathUtils.randFloat(2, 5);
+
+            shred.position.set(mesh.position.x + offsetX, mesh.position.y + offsetY, mesh.position.z);
+            shred.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
+            shred.userData.velocity = new THREE.Vector3(
+                Math.cos(angle) * speed,
+                Math.sin(angle) * speed + fontSize * 2,
+                THREE.MathUtils.randFloatSpread(speed)
+            );
+            shred.userData.spin = new THREE.Vector3(
+                THREE.MathUtils.randFloatSpread(20),
+                THREE.MathUtils.randFloatSpread(20),
+                THREE.MathUtils.randFloatSpread(20)
+            );
+            shred.castShadow = true;
+
+            InflatableText.scene.add(shred);
+            meshes.push(shred);
+        }
+
+        letterObj.exit.shreds = { geometry: geometry, material: material, meshes: meshes };
+        mesh.visible = false;
+    },
+
+    /**
+     * Float away: the letter drifts upward with a gentle sway and shrinks out
+     * @param {Object} letterObj - Dying letter object
+     * @param {number} t - Animation progress (0-1)
+     * @param {number} deltaTime - Frame time in seconds
+     */
+    updateFloat: function(letterObj, t, deltaTime) {
+        const exit = letterObj.exit;
+        const fontSize = letterObj.fontSize;
+        const step = deltaTime * InflatableText.settings.exitSpeed;
+
+        // Rise faster and faster, swaying side to side
+        const riseSpeed = fontSize * (1 + t * 6);
+        const sway = Math.sin(exit.elapsed * 3 + exit.swayPhase);
+        letterObj.position.y += riseSpeed * step;
+        letterObj.position.x += sway * fontSize * 0.5 * step;
+        letterObj.mesh.position.x = letterObj.position.x;
+        letterObj.mesh.position.y = letterObj.position.y;
+        letterObj.mesh.rotation.z = letterObj.rotation + sway * 0.15;
+
+        // Shrink out over the last 30%
+        const shrink = t > 0.7 ? (t - 0.7) / 0.3 : 0;
+        const scale = exit.startScale * (1 - shrink);
+        letterObj.mesh.scale.set(scale, scale, scale);
+    },
+
+    /**
+     * Remove a letter's pop shreds from the scene and free them
+     * @param {Object} letterObj - Dying letter object
+     */
+    disposeShreds: function(letterObj) {
+        const shreds = letterObj.exit && letterObj.exit.shreds;
+        if (!shreds) return;
+
+        shreds.meshes.forEach(shred => InflatableText.scene.remove(shred));
+        shreds.geometry.dispose();
+        shreds.material.dispose();
+        letterObj.exit.shreds = null;
+    }
+};
+
+// Make ExitAnimations globally available
+window.ExitAnimations = ExitAnimations;
@@ -0,0 +1,167 @@
+/*
+ * Font Chain Module - Missing-Glyph Fallback
+ * Author: Studio Video
+ *
+ * Resolves every character against an ordered list of typefaces: the first
+ * font that has the glyph draws it. Fallback glyphs are scaled so their cap
+ * height matches the primary font. Characters no font in the chain covers
+ * are collected so the UI can report them instead of showing a silent "?".
+ */
+
+// Fonts in fallback order - the first one is the primary font (InflatableText.font)
+// Noto Sans Hebrew and Arabic draw right-to-left text (the Arabic one has the presentation forms Bidi shapes into),
+// and Noto Sans is the last resort for Latin, Latin Extended, Vietnamese, Greek and Cyrillic.
+// Only Game Bubble carries kerning pairs: Balloony's TTF has no kern or GPOS table, so Balloony text
+// (the default) is spaced by advance widths alone, and the Noto subsets convert without pairs either
+const FONT_CHAIN = [
+    { name: 'Balloony', url: 'fonts/Balloony_Regular.json' },
+    { name: 'Game Bubble', url: 'fonts/Game Bubble_Regular.json' },
+    { name: 'Noto Sans Hebrew', url: 'fonts/Noto Sans Hebrew_Bold.json' },
+    { name: 'Noto Sans Arabic', url: 'fonts/Noto Sans Arabic_Bold.json' },
+    { name: 'Noto Sans', url: 'fonts/Noto Sans_Bold.json' }
+];
+
+// ========== FONT CHAIN NAMESPACE ==========
+const FontChain = {
+    fonts: [], // Loaded THREE.Font per FONT_CHAIN entry (null if it failed to load)
+    missingChars: new Set(), // Characters no font in the chain has
+
+    /**
+     * Load every font in the chain
+     * A fallback that fails to load is skipped; the primary font is required
+     * @param {Function} onLoad - Called once every font has loaded or failed
+     * @param {Function} onError - Called if the primary font fails to load
+     */
+    load: function(onLoad, onError) {
+        const loader = new THREE.FontLoader();
+        let pending = FONT_CHAIN.length;
+        FontChain.fonts = FONT_CHAIN.map(() => null);
+
+        const settle = () => {
+            pending--;
+            if (pending > 0) return;
+
+            if (!FontChain.fonts[0]) {
+                onError(new Error(`Primary font ${FONT_CHAIN[0].name} failed to load`));
+                return;
+            }
+            InflatableText.font = FontChain.fonts[0];
+            const loaded = FONT_CHAIN.filter((entry, index) => FontChain.fonts[index]).map(entry => entry.name);
+            console.log(`🔤 Font chain: ${loaded.join(' → ')}`);
+            onLoad();
+        };
+
+        FONT_CHAIN.forEach((entry, index) => {
+            loader.load(
+                entry.url,
+                function(font) {
+                    FontChain.fonts[index] = font;
+                    settle();
+                },
+                undefined,
+                function(error) {
+                    console.warn(`⚠️ Fallback font ${entry.name} failed to load:`, error);
+                    settle();
+                }
+            );
+        });
+    },
+
+    /**
+     * Find the font that draws a character
+     * @param {string} char - Single character
+     * @returns {THREE.Font|null} First font in the chain with the glyph, or null if none has it
+     */
+    resolve: function(char) {
+        for (let i = 0; i < FontChain.fonts.length; i++) {
+            const font = FontChain.fonts[i];
+            if (font && font.data.glyphs[char]) return font;
+        }
+        return null;
+    },
+
+    /**
+     * Check whether any font in the chain can draw a character
+     * @param {string} char - Single character
+     * @returns {boolean} True if the glyph exists somewhere in the chain
+     */
+    hasGlyph: function(char) {
+        return FontChain.resolve(char) !== null;
+    },
+
+    /**
+     * Get the glyph that draws a character, falling back to the primary font's '?'
+     * @param {string} char - Single character
+     * @returns {Object} { char, font, glyph, sizeScale } where char is what's actually drawn
+     *                   and sizeScale matches the font's cap height to the primary font's
+     */
+    getGlyph: function(char) {
+        const font = FontChain.resolve(char);
+        if (font) {
+            return { char: char, font: font, glyph: font.data.glyphs[char], sizeScale: FontChain.getSizeScale(font) };
+        }
+
+        const primary = InflatableText.font;
+        return { char: '?', font: primary, glyph: primary.data.glyphs['?'] || null, sizeScale: 1 };
+    },
+
+    /**
+     * Get the size multiplier that gives a fallback font the primary font's cap height
+     * @param {THREE.Font} font - Font from the chain
+     * @returns {number} Multiplier for the font size (1 for the primary font)
+     */
+    getSizeScale: function(font) {
+        const primary = InflatableText.font;
+        if (!font || font === primary) return 1;
+
+        const capHeight = (data) => {
+            const glyph = data.glyphs['H'];
+            return (glyph ? TextLayout.getOutlineExtents(glyph).yMax : data.ascender * 0.75) / data.resolution;
+        };
+        return capHeight(primary.data) / capHeight(font.data);
+    },
+
+    /**
+     * Check whether a font from the chain has any kerning pairs
+     * @param {THREE.Font} font - Font from the chain
+     * @returns {boolean} True if convert-font.js found kerning data in its source font
+     */
+    hasKerning: function(font) {
+        return !!font && !!font.data.kerning && Object.keys(font.data.kerning).length > 0;
+    },
+
+    /**
+     * Collect the characters in some text that no font in the chain can draw
+     * @param {string} text - Text to check (whitespace is ignored)
+     * @returns {Array<string>} Missing characters, each listed once
+     */
+    findMissing: function(text) {
+        const missing = [];
+        for (const char of text) {
+            if (char.trim() && !FontChain.hasGlyph(char) && !missing.includes(char)) {
+                missing.push(char);
+            }
+        }
+        return missing;
+    },
+
+    /**
+     * Update the set of missing characters, warning once for each newly missing one
+     * @param {string} text - All text currently shown
+     * @returns {Array<string>} Missing characters
+     */
+    reportMissing: function(text) {
+        const missing = FontChain.findMissing(text);
+        missing.forEach(char => {
+            if (!FontChain.missingChars.has(char)) {
+                const code = char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+                console.warn(`⚠️ No font in the chain has "${char}" (U+${code})`);
+            }
+        });
+        FontChain.missingChars = new Set(missing);
+        return missing;
+    }
+};
+
+// Make FontChain globally available
+window.FontChain = FontChain;
@@ -0,0 +1,393 @@
+/*
+ * Force Fields Module - Wind, Turbulence, Vortex and Attractor Fields
+ * Author: Studio Video
+ *
+ * Environmental forces placed in the scene. Each field has a position, a
+ * strength and a falloff radius (0 = reaches everywhere), and adds an
+ * acceleration to every simulated letter (not static or gliding to a slot):
+ *   wind       - blows one way, with noisy gusts
+ *   turbulence - swirls letters along curl noise (divergence-free, so they
+ *                drift in eddies instead of bunching up)
+ *   vortex     - spins letters around the field's position
+ *   attractor  - pulls letters toward its position (negative strength repels)
+ * Fields can be keyframed: keyframes store the position, direction, strength
+ * and radius at a time, and the field loops through them (jumping back to the
+ * first keyframe at the end of the loop, without a blend).
+ */
+
+const FIELD_TYPES = {
+    'wind': { name: 'Wind', strength: 0.003, radius: 0, color: 0x66ccff },
+    'turbulence': { name: 'Turbulence', strength: 0.003, radius: 0, color: 0xcc88ff },
+    'vortex': { name: 'Vortex', strength: 0.01, radius: 15, color: 0xffaa44 },
+    'attractor': { name: 'Attractor', strength: 0.01, radius: 15, color: 0x66ff88 }
+};
+const FIELD_KEYFRAME_PROPERTIES = ['x', 'y', 'z', 'direction', 'strength', 'radius'];
+const FIELD_CORE_RADIUS = 1; // Attractors fade out within this distance so letters don't shoot through the centre
+const CURL_NOISE_EPSILON = 0.01;
+
+// ========== FORCE FIELDS NAMESPACE ==========
+const ForceFields = {
+    nextId: 1,
+    time: 0, // Seconds since the scene started (keyframes and noise run on this)
+
+    /**
+     * Create a field of some type at the centre of the scene
+     * @param {string} type - Key of FIELD_TYPES
+     * @returns {Object} Field
+     */
+    create: function(type) {
+        const preset = FIELD_TYPES[type] || FIELD_TYPES['wind'];
+        const id = ForceFields.nextId++;
+        return {
+            id: id,
+            name: `${preset.name} ${id}`,
+            type: FIELD_TYPES[type] ? type : 'wind',
+            enabled: true,
+            x: 0, // Position in world units
+            y: 0,
+            z: 0,
+            direction: 0, // Wind direction in degrees (0 = blowing right, 90 = up)
+            strength: preset.strength, // Acceleration in world units per frame² (like gravity)
+            radius: preset.radius, // Falloff distance from the position (0 = no falloff)
+            falloff: 'smooth', // 'constant', 'linear', 'smooth' or 'inverse-square'
+            gust: 0.5, // Wind: how much gusts vary the strength (0 = steady)
+            gustFrequency: 0.5, // Wind: gusts per second
+            noiseScale: 0.1, // Turbulence: eddies per world unit
+            noiseSpeed: 0.3, // Turbulence: how fast the eddies change
+            keyframes: [], // { time, x, y, z, direction, strength, radius }, sorted by time
+            current: null, // Values at the current time (keyframes applied)
+            helper: null // Debug gizmo
+        };
+    },
+
+    /**
+     * Add a field and make it the one the panel edits
+     * @param {string} type - Key of FIELD_TYPES
+     * @returns {Object} The new field
+     */
+    add: function(type) {
+        const field = ForceFields.create(type);
+        InflatableText.forceFields.push(field);
+        InflatableText.activeFieldIndex = InflatableText.forceFields.length - 1;
+
+        console.log(`🌬️ Added ${field.name}`);
+        return field;
+    },
+
+    /**
+     * Get the field the panel is editing
+     * @returns {Object|null} Active field
+     */
+    getActive: function() {
+        return InflatableText.forceFields[InflatableText.activeFieldIndex] || null;
+    },
+
+    /**
+     * Make a field the one the panel edits
+     * @param {number} index - Field index
+     */
+    select: function(index) {
+        if (index < 0 || index >= InflatableText.forceFields.length) return;
+        InflatableText.activeFieldIndex = index;
+    },
+
+    /**
+     * Delete a field
+     * @param {number} index - Field index
+     */
+    remove: function(index) {
+        const fields = InflatableText.forceFields;
+        if (index < 0 || index >= fields.length) return;
+
+        const field = fields[index];
+        ForceFields.removeHelper(field);
+        fields.splice(index, 1);
+        if (index < InflatableText.activeFieldIndex) InflatableText.activeFieldIndex--; // Keep the same field selected
+        InflatableText.activeFieldIndex = Math.max(Math.min(InflatableText.activeFieldIndex, fields.length - 1), 0);
+
+        console.log(`🗑️ Deleted ${field.name}`);
+    },
+
+    // ========== KEYFRAMES ==========
+
+    /**
+     * Store a field's current position, direction, strength and radius as a keyframe
+     * A keyframe already at that time is replaced
+     * @param {Object} field - Field
+     * @param {number} time - Seconds into the loop
+     */
+    addKeyframe: function(field, time) {
+        const keyframe = { time: Math.max(time, 0) };
+        FIELD_KEYFRAME_PROPERTIES.forEach(key => {
+            keyframe[key] = field[key];
+        });
+
+        field.keyframes = field.keyframes.filter(existing => Math.abs(existing.time - keyframe.time) > 0.01);
+        field.keyframes.push(keyframe);
+        field.keyframes.sort((a, b) => a.time - b.time);
+    },
+
+    /**
+     * Get a field's values at some time
+     * Keyframes loop every (last keyframe time) seconds and are blended linearly; before the first one it holds.
+     * The loop doesn't blend back: at the end it jumps from the last keyframe's values to the first one's, so
+     * give the last keyframe the first one's values for a seamless loop.
+     * Direction turns the short way round (350° to 10° sweeps 20°, not 340°)
+     * @param {Object} field - Field
+     * @param {number} time - Seconds since the scene started
+     * @returns {Object} Field values with the keyframed properties filled in
+     */
+    getValues: function(field, time) {
+        const values = Object.assign({}, field);
+        const keyframes = field.keyframes;
+        if (keyframes.length === 0) return values;
+
+        const duration = keyframes[keyframes.length - 1].time;
+        const t = duration > 0 ? time % duration : 0;
+        const nextIndex = keyframes.findIndex(keyframe => keyframe.time > t);
+        const next = keyframes[nextIndex === -1 ? keyframes.length - 1 : nextIndex];
+        const previous = nextIndex > 0 ? keyframes[nextIndex - 1] : next;
+        const blend = next.time > previous.time ? (t - previous.time) / (next.time - previous.time) : 0;
+
+        FIELD_KEYFRAME_PROPERTIES.forEach(key => {
+            let change = next[key] - previous[key];
+            if (key === 'direction') change = ((change % 360) + 540) % 360 - 180; // Shortest arc, -180 to 180
+            values[key] = previous[key] + change * blend;
+        });
+        values.direction = ((values.direction % 360) + 360) % 360;
+        return values;
+    },
+
+    // ========== SIMULATION ==========
+
+    /**
+     * Advance the field clock, apply keyframes and update the debug gizmos (called once per frame)
+     * @param {number} deltaTime - Frame time in seconds
+     */
+    update: function(deltaTime) {
+        ForceFields.time += deltaTime;
+
+        InflatableText.forceFields.forEach(field => {
+            const current = ForceFields.getValues(field, ForceFields.time);
+
+            // Per-frame wind vector, with gusts from smooth noise over time
+            const angle = THREE.MathUtils.degToRad(current.direction);
+            const gust = 1 + current.gust * ForceFields.noise(ForceFields.time * current.gustFrequency, field.id * 17.3, 0);
+            current.windX = Math.cos(angle) * gust;
+            current.windY = Math.sin(angle) * gust;
+
+            field.current = current;
+            ForceFields.updateHelper(field);
+        });
+    },
+
+    /**
+     * Add every enabled field's push to a letter's acceleration
+     * @param {Object} letterObj - Letter object
+     * @param {Object} acceleration - { x, y, z } in world units per frame², added to in place
+     */
+    addForces: function(letterObj, acceleration) {
+        const position = letterObj.position;
+
+        InflatableText.forceFields.forEach(field => {
+            const current = field.current;
+            if (!field.enabled || !current || current.strength === 0) return;
+
+            const dx = current.x - position.x;
+            const dy = current.y - position.y;
+            const dz = current.z - position.z;
+            const distance = Math.hypot(dx, dy, dz);
+            const strength = current.strength * ForceFields.getFalloff(distance, current.radius, current.falloff);
+            if (strength === 0) return;
+
+            if (field.type === 'wind') {
+                acceleration.x += current.windX * strength;
+                acceleration.y += current.windY * strength;
+            } else if (field.type === 'turbulence') {
+                const drift = ForceFields.time * current.noiseSpeed;
+                const curl = ForceFields.curlNoise(
+                    position.x * current.noiseScale + drift,
+                    position.y * current.noiseScale,
+                    position.z * current.noiseScale + field.id * 31.7
+                );
+                acceleration.x += curl.x * strength;
+                acceleration.y += curl.y * strength;
+                acceleration.z += curl.z * strength;
+            } else if (field.type === 'vortex') {
+                // Around the field's z axis, counter-clockwise for positive strength
+                const radial = Math.hypot(dx, dy);
+                if (radial === 0) return;
+                const core = Math.min(radial / FIELD_CORE_RADIUS, 1);
+                acceleration.x += dy / radial * strength * core;
+                acceleration.y -= dx / radial * strength * core;
+            } else if (field.type === 'attractor') {
+                if (distance === 0) return;
+                const core = Math.min(distance / FIELD_CORE_RADIUS, 1);
+                acceleration.x += dx / distance * strength * core;
+                acceleration.y += dy / distance * strength * core;
+                acceleration.z += dz / distance * strength * core;
+            }
+        });
+    },
+
+    /**
+     * Get how much of a field's strength reaches some distance
+     * @param {number} distance - Distance from the field's position
+     * @param {number} radius - Field radius (0 = no falloff)
+     * @param {string} falloff - 'constant', 'linear', 'smooth' or 'inverse-square'
+     * @returns {number} Multiplier from 0 to 1
+     */
+    getFalloff: function(distance, radius, falloff) {
+        if (radius <= 0) return 1;
+
+        // Inverse square eases off past the radius instead of stopping there
+        if (falloff === 'inverse-square') {
+            const ratio = distance / radius;
+            return 1 / (1 + ratio * ratio);
+        }
+
+        if (distance >= radius) return 0;
+        const t = 1 - distance / radius;
+        if (falloff === 'linear') return t;
+        if (falloff === 'smooth') return t * t * (3 - 2 * t);
+        return 1;
+    },
+
+    // ========== NOISE ==========
+
+    /**
+     * Hash a lattice point to a pseudo-random value
+     * @param {number} x - Integer coordinate
+     * @param {number} y - Integer coordinate
+     * @param {number} z - Integer coordinate
+     * @returns {number} Value from -1 to 1
+     */
+    hash: function(x, y, z) {
+        let h = Math.imul(x, 374761393) ^ Math.imul(y, 668265263) ^ Math.imul(z, 2147483647);
+        h = Math.imul(h ^ (h >>> 13), 1274126177);
+        h ^= h >>> 16;
+        return (h & 0xffff) / 0xffff * 2 - 1;
+    },
+
+    /**
+     * Smooth 3D value noise
+     * @param {number} x - Coordinate
+     * @param {number} y - Coordinate
+     * @param {number} z - Coordinate
+     * @returns {number} Value from about -1 to 1
+     */
+    noise: function(x, y, z) {
+        const ix = Math.floor(x);
+        const iy = Math.floor(y);
+        const iz = Math.floor(z);
+        const fade = t => t * t * t * (t * (t * 6 - 15) + 10);
+        const u = fade(x - ix);
+        const v = fade(y - iy);
+        const w = fade(z - iz);
+        const lerp = (a, b, t) => a + (b - a) * t;
+        const hash = ForceFields.hash;
+
+        return lerp(
+            lerp(
+                lerp(hash(ix, iy, iz), hash(ix + 1, iy, iz), u),
+                lerp(hash(ix, iy + 1, iz), hash(ix + 1, iy + 1, iz), u),
+                v
+            ),
+            lerp(
+                lerp(hash(ix, iy, iz + 1), hash(ix + 1, iy, iz + 1), u),
+                lerp(hash(ix, iy + 1, iz + 1), hash(ix + 1, iy + 1, iz + 1), u),
+                v
+            ),
+            w
+        );
+    },
+
+    /**
+     * Curl of a noise vector potential (a swirling field with no sources or sinks)
+     * @param {number} x - Coordinate in noise space
+     * @param {number} y - Coordinate in noise space
+     * @param {number} z - Coordinate in noise space
+     * @returns {Object} { x, y, z }, about 1.5 long on average
+     */
+    curlNoise: function(x, y, z) {
+        const e = CURL_NOISE_EPSILON;
+        const noise = ForceFields.noise;
+
+        // Three decorrelated potentials, and their partial derivatives by central differences
+        const potentialX = (px, py, pz) => noise(px, py, pz);
+        const potentialY = (px, py, pz) => noise(px + 31.4, py + 47.2, pz + 12.9);
+        const potentialZ = (px, py, pz) => noise(px + 73.1, py + 19.7, pz + 58.3);
+        const derivative = (potential, ax, ay, az) =>
+            (potential(x + ax * e, y + ay * e, z + az * e) - potential(x - ax * e, y - ay * e, z - az * e)) / (2 * e);
+
+        return {
+            x: derivative(potentialZ, 0, 1, 0) - derivative(potentialY, 0, 0, 1),
+            y: derivative(potentialX, 0, 0, 1) - derivative(potentialZ, 1, 0, 0),
+            z: derivative(potentialY, 1, 0, 0) - derivative(potentialX, 0, 1, 0)
+        };
+    },
+
+    // ========== DEBUG GIZMOS ==========
+
+    /**
+     * Show a field's position and radius (and wind direction) when force fields are shown
+     * @param {Object} field - Field with current values
+     */
+    updateHelper: function(field) {
+        if (!InflatableText.scene) return;
+        const current = field.current;
+
+        if (!field.helper) {
+            const color = FIELD_TYPES[field.type].color;
+            const points = [];
+            for (let i = 0; i < 64; i++) {
+                const angle = (i / 64) * Math.PI * 2;
+                points.push(new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0));
+            }
+            const ring = new THREE.LineLoop(
+                new THREE.BufferGeometry().setFromPoints(points),
+                new THREE.LineBasicMaterial({ color: color })
+            );
+            const arrow = new THREE.ArrowHelper(new THREE.Vector3(1, 0, 0), new THREE.Vector3(), 4, color);
+
+            field.helper = new THREE.Group();
+            field.helper.add(ring);
+            field.helper.add(arrow);
+            field.helper.userData = { ring: ring, arrow: arrow };
+            InflatableText.scene.add(field.helper);
+        }
+
+        // Fields without falloff get a small marker ring
+        const helper = field.helper;
+        const ringRadius = current.radius > 0 ? current.radius : 1;
+        helper.visible = InflatableText.settings.showForceFields;
+        helper.position.set(current.x, current.y, current.z);
+        helper.userData.ring.scale.set(ringRadius, ringRadius, 1);
+        helper.userData.ring.material.opacity = field.enabled ? 1 : 0.3;
+        helper.userData.ring.material.transparent = !field.enabled;
+
+        helper.userData.arrow.visible = field.type === 'wind';
+        if (field.type === 'wind') {
+            const angle = THREE.MathUtils.degToRad(current.direction);
+            helper.userData.arrow.setDirection(new THREE.Vector3(Math.cos(angle), Math.sin(angle), 0));
+        }
+    },
+
+    /**
+     * Remove a field's gizmo from the scene
+     * @param {Object} field - Field
+     */
+    removeHelper: function(field) {
+        if (!field.helper) return;
+
+        InflatableText.scene.remove(field.helper);
+        field.helper.userData.ring.geometry.dispose();
+        field.helper.userData.ring.material.dispose();
+        field.helper.userData.arrow.line.material.dispose(); // Arrow geometries are shared by every ArrowHelper
+        field.helper.userData.arrow.cone.material.dispose();
+        field.helper = null;
+    }
+};
+
+// Make ForceFields globally available
+window.ForceFields = ForceFields;
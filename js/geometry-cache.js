@@ -0,0 +1,142 @@
+/*
+ * Geometry Cache Module - Shared Letter Geometry
+ * Author: Studio Video
+ *
+ * Letters with the same character, font, size, extrude depth, bevel,
+ * inflation model settings and detail level share one inflatable geometry
+ * (see createInflatableGeometry()).
+ * Entries are reference counted: each mesh acquires its geometry and
+ * releases it when disposed, and an entry is freed once nothing uses it.
+ * Common characters are pre-warmed one per frame after the font loads,
+ * and again (replacing the old pins) whenever a geometry setting changes.
+ */
+
+const PREWARM_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const PREWARM_PER_FRAME = 1; // Geometries built per frame while pre-warming
+
+// ========== GEOMETRY CACHE NAMESPACE ==========
+const GeometryCache = {
+    entries: new Map(), // key -> { geometry, refCount }
+    keysByGeometry: new WeakMap(), // geometry -> key
+    pinnedGeometries: [], // Pre-warmed geometries the cache itself holds a reference to
+    prewarmQueue: [], // { char, fontSize, level } still to build
+
+    /**
+     * Build the cache key for a character at a font size with the current geometry settings
+     * Characters are resolved through the font chain, so every missing glyph shares the '?' entry
+     * @param {string} char - Character
+     * @param {number} fontSize - Font size in world units
+     * @param {number} level - Detail level (see LevelOfDetail)
+     * @returns {string} Cache key
+     */
+    getKey: function(char, fontSize, level) {
+        const settings = InflatableText.settings;
+        const resolved = FontChain.getGlyph(char);
+        return [
+            resolved.char,
+            resolved.font.data.familyName,
+            fontSize,
+            settings.extrudeDepth,
+            settings.targetBevelThickness,
+            settings.targetBevelSize,
+            settings.curveSegments,
+            settings.bevelSegments,
+            settings.inflationModel,
+            settings.membranePressure,
+            settings.membraneStiffness,
+            level
+        ].join('|');
+    },
+
+    /**
+     * Get a shared geometry for a character, building it on first use
+     * Every acquire must be paired with a release()
+     * @param {string} char - Character
+     * @param {number} fontSize - Font size in world units
+     * @param {number} level - Detail level (0 = full detail)
+     * @returns {THREE.BufferGeometry} Inflatable letter geometry
+     */
+    acquire: function(char, fontSize, level = 0) {
+        const key = GeometryCache.getKey(char, fontSize, level);
+        let entry = GeometryCache.entries.get(key);
+
+        if (!entry) {
+            const geometry = createInflatableGeometry(char, fontSize, level);
+            entry = { geometry: geometry, refCount: 0 };
+            GeometryCache.entries.set(key, entry);
+            GeometryCache.keysByGeometry.set(geometry, key);
+        }
+
+        entry.refCount++;
+        return entry.geometry;
+    },
+
+    /**
+     * Give back a geometry from acquire(); it's disposed once no mesh uses it
+     * @param {THREE.BufferGeometry} geometry - Geometry to release
+     */
+    release: function(geometry) {
+        const key = GeometryCache.keysByGeometry.get(geometry);
+        const entry = key !== undefined ? GeometryCache.entries.get(key) : null;
+
+        if (!entry) {
+            // Not from the cache - the caller owns it
+            geometry.dispose();
+            return;
+        }
+
+        entry.refCount--;
+        if (entry.refCount <= 0) {
+            entry.geometry.dispose();
+            GeometryCache.entries.delete(key);
+        }
+    },
+
+    /**
+     * Queue characters to build ahead of time so typing them doesn't stall
+     * Pre-warmed entries stay cached even while no letter uses them
+     * @param {string} chars - Characters to pre-warm
+     * @param {number} fontSize - Font size in world units
+     * @param {number} level - Detail level (0 = full detail)
+     */
+    prewarm: function(chars, fontSize, level = 0) {
+        for (const char of chars) {
+            GeometryCache.prewarmQueue.push({ char: char, fontSize: fontSize, level: level });
+        }
+    },
+
+    /**
+     * Release every pre-warmed geometry and drop the queued ones
+     * Call when a setting in the cache key changes - old pins would never be used again
+     */
+    clearPins: function() {
+        GeometryCache.prewarmQueue = [];
+        GeometryCache.pinnedGeometries.forEach(geometry => GeometryCache.release(geometry));
+        GeometryCache.pinnedGeometries = [];
+    },
+
+    /**
+     * Build the next few queued pre-warm geometries (called once per frame)
+     */
+    update: function() {
+        for (let i = 0; i < PREWARM_PER_FRAME && GeometryCache.prewarmQueue.length > 0; i++) {
+            const job = GeometryCache.prewarmQueue.shift();
+            GeometryCache.pinnedGeometries.push(GeometryCache.acquire(job.char, job.fontSize, job.level));
+        }
+    },
+
+    /**
+     * Get cache statistics (for debugging)
+     * @returns {Object} { entries, references } - cached geometries and meshes (plus pins) using them
+     */
+    getStats: function() {
+        let references = 0;
+        GeometryCache.entries.forEach(entry => {
+            references += entry.refCount;
+        });
+        return { entries: GeometryCache.entries.size, references: references };
+    }
+};
+
+// Make GeometryCache globally available
+window.GeometryCache = GeometryCache;
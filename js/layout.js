@@ -0,0 +1,732 @@
+/*
+ * Text Layout Module - Proportional Glyph Layout
+ * Author: Studio Video
+ *
+ * Places letters at their true proportional positions using the advance
+ * widths, ink extents and kerning pairs stored in the loaded typeface data.
+ * Kerning only applies where the font has pairs - the default Balloony font
+ * has none, so it's spaced by advance widths alone (see FONT_CHAIN).
+ * Live typing, the typing animation and clock mode all share layoutText()
+ * so a phrase lays out the same way everywhere.
+ */
+
+const DIGIT_CHARS = '0123456789';
+const outlineExtentsCache = new WeakMap(); // glyph data -> { yMin, yMax }
+
+// Shrink bounds on every side (e.g. to leave room for the inflated bevel)
+function insetBounds(bounds, amount) {
+    return {
+        minX: bounds.minX + amount,
+        maxX: bounds.maxX - amount,
+        minY: bounds.minY + amount,
+        maxY: bounds.maxY - amount
+    };
+}
+
+// ========== TEXT LAYOUT NAMESPACE ==========
+const TextLayout = {
+    /**
+     * Get the scale from typeface units to world units
+     * @param {number} fontSize - Font size in world units
+     * @returns {number} World units per font unit
+     */
+    getScale: function(fontSize) {
+        const data = InflatableText.font.data;
+        return fontSize / data.resolution;
+    },
+
+    /**
+     * Apply the letter case setting to text
+     * @param {string} text - Text as typed
+     * @param {string} textCase - 'preserve', 'upper' or 'lower' (default: from settings)
+     * @returns {string} Text with case applied
+     */
+    applyCase: function(text, textCase = null) {
+        switch (textCase || InflatableText.settings.textCase) {
+            case 'upper':
+                return text.toUpperCase();
+            case 'lower':
+                return text.toLowerCase();
+            default: // 'preserve'
+                return text;
+        }
+    },
+
+    /**
+     * Get world-space metrics for a single glyph
+     * Measures the glyph from the first font in the chain that has it (see FontChain.getGlyph())
+     * @param {string} char - Character to measure
+     * @param {number} fontSize - Font size in world units
+     * @returns {Object} { advance, xMin, xMax, yMin, yMax } in world units, relative to the pen position on the baseline
+     */
+    getGlyphMetrics: function(char, fontSize) {
+        const resolved = FontChain.getGlyph(char);
+        const glyph = resolved.glyph;
+        const scale = fontSize * resolved.sizeScale / resolved.font.data.resolution;
+
+        if (!glyph) {
+            return { advance: 0, xMin: 0, xMax: 0, yMin: 0, yMax: 0 };
+        }
+
+        const extents = TextLayout.getOutlineExtents(glyph);
+
+        return {
+            advance: glyph.ha * scale,
+            xMin: (glyph.x_min || 0) * scale,
+            xMax: (glyph.x_max || 0) * scale,
+            yMin: extents.yMin * scale,
+            yMax: extents.yMax * scale
+        };
+    },
+
+    /**
+     * Get the kerning adjustment between two characters
+     * Reads the optional "kerning" table written by convert-font.js ({ left: { right: value } })
+     * of the font both glyphs resolve to; pairs drawn by different fonts aren't kerned,
+     * and fonts without a table (Balloony, the default) always return 0
+     * @param {string} left - Left character
+     * @param {string} right - Right character
+     * @param {number} fontSize - Font size in world units
+     * @returns {number} Kerning offset in world units (negative = tighter)
+     */
+    getKerning: function(left, right, fontSize) {
+        const resolvedLeft = FontChain.getGlyph(left);
+        const resolvedRight = FontChain.getGlyph(right);
+        if (resolvedLeft.font !== resolvedRight.font) return 0;
+
+        const data = resolvedLeft.font.data;
+        const kerning = data.kerning;
+        if (!kerning || !kerning[resolvedLeft.char]) return 0;
+
+        const value = kerning[resolvedLeft.char][resolvedRight.char];
+        return value ? value * fontSize * resolvedLeft.sizeScale / data.resolution : 0;
+    },
+
+    /**
+     * Extra space between letters so neighbouring bevels have room to inflate
+     * @param {number} fontSize - Font size in world units
+     * @returns {number} Tracking in world units
+     */
+    getTracking: function(fontSize) {
+        return fontSize * InflatableText.settings.targetBevelSize * 2;
+    },
+
+    /**
+     * Get the vertical extents of a glyph outline in font units
+     * Outline control points are included, which is close enough for line metrics
+     * @param {Object} glyph - Typeface glyph data ({ o: outline commands })
+     * @returns {Object} { yMin, yMax } in font units
+     */
+    getOutlineExtents: function(glyph) {
+        if (outlineExtentsCache.has(glyph)) return outlineExtentsCache.get(glyph);
+
+        let yMin = 0;
+        let yMax = 0;
+        const tokens = (glyph.o || '').split(' ');
+        let isY = false;
+        let hasPoints = false;
+
+        tokens.forEach(token => {
+            const value = parseFloat(token);
+            if (isNaN(value)) return; // Command letter (m, l, q, b, z)
+
+            // Outline numbers are x/y pairs
+            if (isY) {
+                yMin = hasPoints ? Math.min(yMin, value) : value;
+                yMax = hasPoints ? Math.max(yMax, value) : value;
+                hasPoints = true;
+            }
+            isY = !isY;
+        });
+
+        const extents = { yMin: yMin, yMax: yMax };
+        outlineExtentsCache.set(glyph, extents);
+        return extents;
+    },
+
+    /**
+     * Get the cap height (top of 'H') used to place baselines inside line boxes
+     * @param {number} fontSize - Font size in world units
+     * @returns {number} Cap height in world units
+     */
+    getCapHeight: function(fontSize) {
+        const data = InflatableText.font.data;
+        const glyph = data.glyphs['H'];
+        const capHeight = glyph ? TextLayout.getOutlineExtents(glyph).yMax : data.ascender * 0.75;
+        return capHeight * TextLayout.getScale(fontSize);
+    },
+
+    /**
+     * Get the widest digit advance, used for tabular (fixed-width) digits
+     * @param {number} fontSize - Font size in world units
+     * @returns {number} Advance in world units
+     */
+    getTabularDigitAdvance: function(fontSize) {
+        return Math.max(...DIGIT_CHARS.split('').map(digit => TextLayout.getGlyphMetrics(digit, fontSize).advance));
+    },
+
+    /**
+     * Lay out a single line of text
+     * @param {string} line - Line of text (whitespace included)
+     * @param {number} fontSize - Font size in world units
+     * @param {Object} options - { tabularDigits: give every digit the same advance (clock mode),
+     *                             sizes: per-character font size multipliers from rich text markup }
+     * @returns {Object} { glyphs: [{ char, x, y, advance, fontSize }], width } where x is the glyph's ink center from the
+     *                   line start and y is its ink center above the baseline (geometry is centered on its ink)
+     */
+    layoutLine: function(line, fontSize, options = {}) {
+        const tracking = TextLayout.getTracking(fontSize);
+        const glyphs = [];
+        let penX = 0;
+
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            const glyphSize = fontSize * ((options.sizes && options.sizes[i]) || 1);
+            const metrics = TextLayout.getGlyphMetrics(char, glyphSize);
+            const isTabular = options.tabularDigits && DIGIT_CHARS.includes(char);
+            const digitAdvance = isTabular ? TextLayout.getTabularDigitAdvance(glyphSize) : 0;
+
+            // Kerning against the previous character (tabular digits are never kerned)
+            if (i > 0 && !isTabular) {
+                penX += TextLayout.getKerning(line[i - 1], char, glyphSize);
+            }
+
+            const inkCenterY = (metrics.yMin + metrics.yMax) / 2;
+
+            if (isTabular) {
+                // Center the digit's ink inside a fixed-width cell
+                glyphs.push({ char: char, x: penX + digitAdvance / 2, y: inkCenterY, advance: digitAdvance, fontSize: glyphSize });
+                penX += digitAdvance;
+            } else {
+                glyphs.push({
+                    char: char,
+                    x: penX + (metrics.xMin + metrics.xMax) / 2,
+                    y: inkCenterY,
+                    advance: metrics.advance,
+                    fontSize: glyphSize
+                });
+                penX += metrics.advance;
+            }
+
+            if (i < line.length - 1) {
+                penX += tracking;
+            }
+        }
+
+        return { glyphs: glyphs, width: penX };
+    },
+
+    /**
+     * Get a line in display order: Arabic letters shaped, then bidi runs reordered left to right
+     * @param {string} line - Line of text in logical (typed) order
+     * @param {string} direction - Paragraph direction ('ltr' or 'rtl')
+     * @returns {Object} { text, indices } where indices[i] is the index in line of display character i
+     */
+    getVisualLine: function(line, direction) {
+        const shaped = Bidi.shapeArabic(line, FontChain.hasGlyph);
+        const visual = Bidi.reorderLine(shaped.text, direction);
+
+        return {
+            text: visual.text,
+            indices: visual.indices.map(index => shaped.indices[index])
+        };
+    },
+
+    /**
+     * Word-wrap lines to fit the box width (automatic spacing)
+     * Squeezes spacing and line height when the text still doesn't fit
+     * Lines break in logical order, so in a right-to-left paragraph the first
+     * words stay on the first line and the overflow wraps from its left edge
+     * @param {Array<string>} lines - Lines of text
+     * @param {number} boxWidth - Available width in world units
+     * @param {number} boxHeight - Available height in world units
+     * @param {number} fontSize - Font size in world units
+     * @param {number} letterHeight - Preferred line height in world units
+     * @param {Array<Object|null>} styles - Per-character rich text styles of the lines joined by newlines (optional)
+     * @returns {Object} { lines, paragraphEnds, directions, letterHeight, spacingScale }
+     */
+    wrapTextToFit: function(lines, boxWidth, boxHeight, fontSize, letterHeight, styles = null) {
+        const wrappedLines = [];
+        const wrappedStarts = []; // Index of each wrapped line's first character in the joined text
+        const paragraphEnds = []; // true for the last wrapped line of each source line
+        const directions = []; // Direction of the paragraph each wrapped line came from
+
+        // Measure a piece of the text at its rich text sizes
+        const measure = (piece, start) => {
+            return TextLayout.measureText(piece, fontSize, TextLayout.getTextStyleSizes(styles, start, piece.length));
+        };
+
+        // Force-break a word that is wider than the box into chunks that fit
+        const breakLongWord = (word, start) => {
+            const chunks = [];
+            let chunk = '';
+            let chunkStart = start;
+            for (let i = 0; i < word.length; i++) {
+                const testChunk = chunk + word[i];
+                if (chunk && measure(testChunk, chunkStart) > boxWidth) {
+                    chunks.push({ text: chunk, start: chunkStart });
+                    chunk = word[i];
+                    chunkStart = start + i;
+                } else {
+                    chunk = testChunk;
+                }
+            }
+            if (chunk) chunks.push({ text: chunk, start: chunkStart });
+            return chunks;
+        };
+
+        const pushLine = (line, start) => {
+            wrappedLines.push(line);
+            wrappedStarts.push(start);
+        };
+
+        // Wrap each line
+        let lineStart = 0;
+        lines.forEach(line => {
+            const firstLineIndex = wrappedLines.length;
+            const sourceStart = lineStart;
+            lineStart += line.length + 1;
+
+            if (line.length === 0) {
+                pushLine('', sourceStart);
+                paragraphEnds.push(true);
+                directions.push(Bidi.getParagraphDirection(line));
+                return;
+            }
+
+            // Split line into chunks that fit
+            const words = line.split(' ');
+            let currentLine = '';
+            let currentStart = sourceStart;
+            let wordStart = sourceStart;
+
+            words.forEach((word, wordIndex) => {
+                // Try adding this word to current line
+                const testLine = currentLine ? currentLine + ' ' + word : word;
+                const testStart = currentLine ? currentStart : wordStart;
+
+                if (measure(testLine, testStart) <= boxWidth) {
+                    // Word fits on current line
+                    currentLine = testLine;
+                    currentStart = testStart;
+                } else {
+                    // Word doesn't fit - save current line and start new line with word
+                    if (currentLine) {
+                        pushLine(currentLine, currentStart);
+                    }
+                    currentLine = word;
+                    currentStart = wordStart;
+
+                    // Word itself is wider than the box - force break it
+                    if (measure(word, wordStart) > boxWidth) {
+                        const chunks = breakLongWord(word, wordStart);
+                        chunks.slice(0, -1).forEach(chunk => pushLine(chunk.text, chunk.start));
+                        const lastChunk = chunks[chunks.length - 1];
+                        currentLine = lastChunk ? lastChunk.text : '';
+                        currentStart = lastChunk ? lastChunk.start : wordStart;
+                    }
+                }
+
+                // Add last word if it's the final word
+                if (wordIndex === words.length - 1 && currentLine) {
+                    pushLine(currentLine, currentStart);
+                }
+                wordStart += word.length + 1;
+            });
+
+            // Mark where this paragraph ends (justified text leaves it unstretched)
+            // Every piece keeps the whole paragraph's direction, even a fragment with no strong letters
+            const direction = Bidi.getParagraphDirection(line);
+            while (paragraphEnds.length < wrappedLines.length) {
+                paragraphEnds.push(false);
+                directions.push(direction);
+            }
+            if (wrappedLines.length > firstLineIndex) {
+                paragraphEnds[wrappedLines.length - 1] = true;
+            }
+        });
+
+        // Now check if wrapped lines fit the box, and adjust spacing if needed
+        let adjustedLetterHeight = letterHeight;
+        let spacingScale = 1;
+
+        // Check if text fits horizontally (a single glyph can still be wider than the box)
+        const maxLineWidth = Math.max(...wrappedLines.map((line, index) => measure(line, wrappedStarts[index])));
+        if (maxLineWidth > boxWidth) {
+            // Need to squeeze letter spacing to fit
+            spacingScale = boxWidth / maxLineWidth;
+            // Also adjust line height proportionally to maintain aspect ratio
+            adjustedLetterHeight = letterHeight * spacingScale;
+        }
+
+        // Check if text fits vertically
+        const totalHeight = wrappedLines.length * adjustedLetterHeight;
+        if (totalHeight > boxHeight) {
+            // Need to shrink line spacing to fit
+            adjustedLetterHeight = boxHeight / wrappedLines.length;
+        }
+
+        return {
+            lines: wrappedLines,
+            paragraphEnds: paragraphEnds,
+            directions: directions,
+            letterHeight: adjustedLetterHeight,
+            spacingScale: spacingScale
+        };
+    },
+
+    /**
+     * Lay out a block of text inside the canvas bounds
+     * @param {string} text - Text to lay out (newlines start new lines)
+     * @param {Object} options - Overrides for fontSize, bounds, autoSpacing, randomSpawn, pathLayout, letterSpacing,
+     *                           lineSpacing, textAlign, verticalAlign, wrap, tabularDigits and fitToBox, plus
+     *                           styles: per-character rich text styles (see RichText.parse())
+     * @returns {Object} { letters: [{ char, x, y, rotation, index, line, sourceIndex, style, fontSize }],
+     *                     lines: [{ text, direction, x, y, baseline, width, height }],
+     *                     bounds: { minX, maxX, minY, maxY }, letterHeight, spacingScale, fontSize }
+     *                   fontSize is the size letters should be built at (differs from the setting when fitting to the box).
+     *                   Letters are in reading order; right-to-left runs are placed right to left
+     */
+    layoutText: function(text, options = {}) {
+        const settings = InflatableText.settings;
+        const fontSize = options.fontSize !== undefined ? options.fontSize : settings.fontSize;
+        const bounds = options.bounds || InflatableText.canvasBounds;
+        const autoSpacing = options.autoSpacing !== undefined ? options.autoSpacing : settings.autoSpacing;
+        const randomSpawn = options.randomSpawn !== undefined ? options.randomSpawn : settings.randomSpawn;
+        const pathLayout = options.pathLayout !== undefined ? options.pathLayout : settings.pathLayout;
+        const letterSpacing = options.letterSpacing !== undefined ? options.letterSpacing : settings.letterSpacing;
+        const lineSpacing = options.lineSpacing !== undefined ? options.lineSpacing : settings.lineSpacing;
+        const textAlign = options.textAlign || settings.textAlign;
+        const verticalAlign = options.verticalAlign || settings.verticalAlign;
+        const wrap = options.wrap !== undefined ? options.wrap : autoSpacing;
+        const fitToBox = options.fitToBox !== undefined ? options.fitToBox : settings.fitToBox;
+        const styles = options.styles || null;
+        const lineOptions = { tabularDigits: !!options.tabularDigits };
+
+        // Letters along a curve are handled by the text path module
+        if (pathLayout && !randomSpawn) {
+            return TextPath.layoutOnPath(text, { fontSize: fontSize, bounds: bounds, textAlign: textAlign, styles: styles });
+        }
+
+        // Fit to box: lay out at the largest size whose inflated letters fit, inset by the bevel
+        if (fitToBox && autoSpacing && !randomSpawn && text.trim()) {
+            const fittedSize = TextLayout.fitFontSize(text, bounds, options);
+            return TextLayout.layoutText(text, Object.assign({}, options, {
+                fontSize: fittedSize,
+                bounds: insetBounds(bounds, TextLayout.getBevelMargin(fittedSize)),
+                fitToBox: false
+            }));
+        }
+
+        const boxWidth = bounds.maxX - bounds.minX;
+        const boxHeight = bounds.maxY - bounds.minY;
+
+        // Split text into lines
+        let lines = text.split('\n');
+        let paragraphEnds = lines.map(() => true);
+        let directions = lines.map(line => Bidi.getParagraphDirection(line));
+        let letterHeight;
+        let spacingScale = 1;
+
+        if (autoSpacing) {
+            // Automatic spacing based on font size
+            letterHeight = fontSize * 1.5; // 150% of font size for line height
+
+            // Auto-wrap text if it doesn't fit in the bounding box
+            if (wrap) {
+                const result = TextLayout.wrapTextToFit(lines, boxWidth, boxHeight, fontSize, letterHeight, styles);
+                lines = result.lines;
+                paragraphEnds = result.paragraphEnds;
+                directions = result.directions;
+                letterHeight = result.letterHeight;
+                spacingScale = result.spacingScale;
+            }
+        }
+
+        // Display order of each line (bidi runs reordered, Arabic shaped)
+        const visualLines = lines.map((line, rowIndex) => TextLayout.getVisualLine(line, directions[rowIndex]));
+
+        // Wrapped lines are substrings of the text in order, so find where each one starts
+        const lineStarts = [];
+        let searchFrom = 0;
+        lines.forEach(line => {
+            const start = text.indexOf(line, searchFrom);
+            lineStarts.push(start);
+            searchFrom = start + line.length;
+        });
+
+        // Options for laying out each line (rich text can scale single letters)
+        const getLineOptions = (rowIndex) => {
+            if (!styles) return lineOptions;
+            return Object.assign({}, lineOptions, { sizes: TextLayout.getStyleSizes(styles, lineStarts[rowIndex], visualLines[rowIndex].indices) });
+        };
+
+        if (!autoSpacing) {
+            // Manual spacing using sliders
+            // Find the widest line - letter spacing 1.0 stretches it across the box
+            const maxLineWidth = Math.max(...visualLines.map((visual, rowIndex) => TextLayout.layoutLine(visual.text, fontSize, getLineOptions(rowIndex)).width));
+            if (maxLineWidth > 0) {
+                spacingScale = (boxWidth / maxLineWidth) * letterSpacing;
+            }
+            letterHeight = (boxHeight / lines.length) * lineSpacing;
+        }
+
+        // Calculate total height of all lines and anchor them vertically
+        const totalTextHeight = lines.length * letterHeight;
+        const capHeight = TextLayout.getCapHeight(fontSize);
+        let verticalOffset; // Distance from the top of the box to the top of the first line
+        switch (verticalAlign) {
+            case 'top':
+                verticalOffset = 0;
+                break;
+            case 'bottom':
+                verticalOffset = boxHeight - totalTextHeight;
+                break;
+            case 'baseline':
+                // Rest the last line's baseline on the bottom edge (descenders hang below)
+                verticalOffset = boxHeight - totalTextHeight + letterHeight / 2 - capHeight / 2;
+                break;
+            default: // 'middle'
+                verticalOffset = (boxHeight - totalTextHeight) / 2;
+        }
+
+        const letters = [];
+        const lineMetrics = [];
+        lines.forEach((line, rowIndex) => {
+            const visual = visualLines[rowIndex];
+            const isRightToLeft = directions[rowIndex] === 'rtl';
+
+            // Lay out glyphs proportionally
+            const lineLayout = TextLayout.layoutLine(visual.text, fontSize, getLineOptions(rowIndex));
+            let lineWidth = lineLayout.width * spacingScale;
+            const lineY = bounds.maxY - verticalOffset - rowIndex * letterHeight - letterHeight / 2;
+
+            // Justified lines stretch to the box width, except the last line of a paragraph
+            const glyphOffsets = lineLayout.glyphs.map(() => 0);
+            if (textAlign === 'justify' && !paragraphEnds[rowIndex] && lineWidth < boxWidth) {
+                const extraSpace = boxWidth - lineWidth;
+                const spaceCount = lineLayout.glyphs.filter(glyph => !glyph.char.trim()).length;
+                let offset = 0;
+
+                lineLayout.glyphs.forEach((glyph, glyphIndex) => {
+                    if (spaceCount > 0) {
+                        // Widen the gaps between words
+                        if (!glyph.char.trim()) offset += extraSpace / spaceCount;
+                    } else if (glyphIndex > 0 && lineLayout.glyphs.length > 1) {
+                        // Single word - spread the letters instead
+                        offset += extraSpace / (lineLayout.glyphs.length - 1);
+                    }
+                    glyphOffsets[glyphIndex] = offset;
+                });
+
+                if (spaceCount > 0 || lineLayout.glyphs.length > 1) {
+                    lineWidth = boxWidth;
+                }
+            }
+
+            // Align the line horizontally (justified right-to-left paragraphs end flush right)
+            let lineX;
+            switch (textAlign) {
+                case 'justify':
+                    lineX = isRightToLeft ? bounds.maxX - lineWidth : bounds.minX;
+                    break;
+                case 'left':
+                    lineX = bounds.minX;
+                    break;
+                case 'right':
+                    lineX = bounds.maxX - lineWidth;
+                    break;
+                default: // 'center'
+                    lineX = bounds.minX + (boxWidth - lineWidth) / 2;
+            }
+
+            // Capitals are centered in the line box; descenders hang below the shared baseline
+            const baseline = lineY - capHeight / 2;
+
+            lineMetrics.push({
+                text: line,
+                direction: directions[rowIndex],
+                x: lineX,
+                y: lineY,
+                baseline: baseline,
+                width: lineWidth,
+                height: letterHeight
+            });
+
+            lineLayout.glyphs.forEach((glyph, glyphIndex) => {
+                if (!glyph.char.trim()) return;
+
+                let x, y;
+                if (randomSpawn) {
+                    // Random spawn position around center
+                    const angle = Math.random() * Math.PI * 2;
+                    const radius = settings.spawnRadius;
+                    x = Math.cos(angle) * radius;
+                    y = Math.sin(angle) * radius;
+                } else {
+                    x = lineX + glyph.x * spacingScale + glyphOffsets[glyphIndex];
+                    y = baseline + glyph.y;
+                }
+
+                const sourceIndex = lineStarts[rowIndex] + visual.indices[glyphIndex];
+                letters.push({
+                    char: glyph.char,
+                    x: x,
+                    y: y,
+                    rotation: 0,
+                    index: 0, // Set once letters are in reading order
+                    line: rowIndex,
+                    sourceIndex: sourceIndex,
+                    style: styles ? styles[sourceIndex] : null,
+                    fontSize: glyph.fontSize
+                });
+            });
+        });
+        TextLayout.sortByReadingOrder(letters);
+
+        // Overall bounds of the laid-out lines
+        const layoutBounds = {
+            minX: Math.min(...lineMetrics.map(line => line.x)),
+            maxX: Math.max(...lineMetrics.map(line => line.x + line.width)),
+            minY: bounds.maxY - verticalOffset - totalTextHeight,
+            maxY: bounds.maxY - verticalOffset
+        };
+
+        return {
+            letters: letters,
+            lines: lineMetrics,
+            bounds: layoutBounds,
+            letterHeight: letterHeight,
+            spacingScale: spacingScale,
+            fontSize: fontSize
+        };
+    },
+
+    /**
+     * Put laid-out letters in reading (source) order and number them
+     * Right-to-left runs are placed right to left, but should still spawn, type and diff in the order they were written
+     * @param {Array<Object>} letters - Letters with a sourceIndex
+     */
+    sortByReadingOrder: function(letters) {
+        letters.sort((a, b) => a.sourceIndex - b.sourceIndex);
+        letters.forEach((letter, index) => {
+            letter.index = index;
+        });
+    },
+
+    /**
+     * Get the font size multipliers for the characters of a line in display order
+     * @param {Array<Object|null>} styles - Per-character rich text styles
+     * @param {number} start - Index of the line's first character in the text
+     * @param {Array<number>} indices - Index within the line of each display character (see getVisualLine())
+     * @returns {Array<number>} Multiplier per display character (1 when unstyled)
+     */
+    getStyleSizes: function(styles, start, indices) {
+        return indices.map(index => {
+            const style = styles[start + index];
+            return style && style.size ? style.size : 1;
+        });
+    },
+
+    /**
+     * Get the font size multipliers for a run of text in logical order
+     * @param {Array<Object|null>|null} styles - Per-character rich text styles (null when unstyled)
+     * @param {number} start - Index of the run's first character in the text
+     * @param {number} length - Number of characters
+     * @returns {Array<number>|null} Multiplier per character, or null when unstyled
+     */
+    getTextStyleSizes: function(styles, start, length) {
+        if (!styles) return null;
+        return TextLayout.getStyleSizes(styles, start, Array.from({ length: length }, (value, index) => index));
+    },
+
+    /**
+     * Get how far an inflated letter grows past its flat outline
+     * @param {number} fontSize - Font size in world units
+     * @returns {number} Bevel size at full inflation in world units
+     */
+    getBevelMargin: function(fontSize) {
+        return fontSize * InflatableText.settings.targetBevelSize;
+    },
+
+    /**
+     * Find the largest font size at which the text, wrapped to the box and fully
+     * inflated, fits inside the bounds without squeezing letters into each other
+     * Binary search: each candidate size is wrapped again, so the line breaks change with it
+     * @param {string} text - Text to fit
+     * @param {Object} bounds - { minX, maxX, minY, maxY } to fit inside
+     * @param {Object} options - layoutText() options (alignment etc.)
+     * @returns {number} Font size in world units
+     */
+    fitFontSize: function(text, bounds, options = {}) {
+        let low = 0;
+        let high = Math.min(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
+        let best = null;
+
+        // 20 halvings gets within a millionth of the box size
+        for (let i = 0; i < 20; i++) {
+            const candidate = (low + high) / 2;
+            if (TextLayout.fitsInBox(text, candidate, bounds, options)) {
+                best = candidate;
+                low = candidate;
+            } else {
+                high = candidate;
+            }
+        }
+
+        return best !== null ? best : high;
+    },
+
+    /**
+     * Check whether text fits the bounds at a font size once fully inflated
+     * @param {string} text - Text to check
+     * @param {number} fontSize - Candidate font size in world units
+     * @param {Object} bounds - { minX, maxX, minY, maxY }
+     * @param {Object} options - layoutText() options
+     * @returns {boolean} True if every inflated letter stays inside the bounds
+     */
+    fitsInBox: function(text, fontSize, bounds, options = {}) {
+        const bevelMargin = TextLayout.getBevelMargin(fontSize);
+        const inner = insetBounds(bounds, bevelMargin);
+        if (inner.maxX <= inner.minX || inner.maxY <= inner.minY) return false;
+
+        const layout = TextLayout.layoutText(text, Object.assign({}, options, {
+            fontSize: fontSize,
+            bounds: inner,
+            autoSpacing: true,
+            wrap: true,
+            fitToBox: false
+        }));
+
+        // Wrapping had to squeeze letters together, or lines so close that inflated letters touch - too big
+        const epsilon = 1e-6;
+        const minLineHeight = fontSize + bevelMargin * 2;
+        if (layout.spacingScale < 1) return false;
+        if (layout.lines.length > 1 && layout.letterHeight < minLineHeight - epsilon) return false;
+
+        // Every glyph's ink (the bevel is already taken off the bounds) must be inside
+        return layout.letters.every(letter => {
+            const metrics = TextLayout.getGlyphMetrics(letter.char, letter.fontSize);
+            const halfWidth = (metrics.xMax - metrics.xMin) / 2;
+            const halfHeight = (metrics.yMax - metrics.yMin) / 2;
+            return letter.x - halfWidth >= inner.minX - epsilon &&
+                letter.x + halfWidth <= inner.maxX + epsilon &&
+                letter.y - halfHeight >= inner.minY - epsilon &&
+                letter.y + halfHeight <= inner.maxY + epsilon;
+        });
+    },
+
+    /**
+     * Measure the width of a line of text
+     * @param {string} line - Line of text
+     * @param {number} fontSize - Font size in world units
+     * @param {Array<number>} sizes - Per-character font size multipliers from rich text markup (optional)
+     * @returns {number} Width in world units
+     */
+    measureText: function(line, fontSize, sizes = null) {
+        return TextLayout.layoutLine(line, fontSize, sizes ? { sizes: sizes } : {}).width;
+    }
+};
+
+// Make TextLayout globally available
+window.TextLayout = TextLayout;
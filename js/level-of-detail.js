@@ -0,0 +1,200 @@
+/*
+ * Level of Detail Module - Adaptive Letter Tessellation
+ * Author: Studio Video
+ *
+ * Each letter uses one of a few detail levels: fractions of the curve and
+ * bevel segment settings. The level comes from the letter's height on screen,
+ * the number of letters and how the frame time compares to the target, and
+ * letters move between levels a few at a time as those change (with a
+ * margin around each size threshold, so letters hovering near one or a
+ * slowly orbiting camera don't swap geometry back and forth). High-res
+ * exports switch every letter to full detail before rendering.
+ */
+
+const LOD_LEVELS = [1, 0.5, 0.25, 0.125]; // Fraction of curveSegments/bevelSegments per level (0 = full detail)
+const LOD_MIN_CURVE_SEGMENTS = 4;
+const LOD_MIN_BEVEL_SEGMENTS = 2;
+const LOD_PIXEL_THRESHOLDS = [240, 100, 40]; // Letter height on screen (pixels) needed for levels 0, 1 and 2
+const LOD_HYSTERESIS = 0.12; // A letter has to pass a threshold by this fraction before its level changes
+const LOD_LETTERS_PER_LEVEL = 60; // Every doubling past this many letters drops one level
+const LOD_UPDATE_INTERVAL = 0.25; // Seconds between level checks
+const LOD_ADJUST_INTERVAL = 1.0; // Seconds between frame time adjustments
+const LOD_SWAPS_PER_FRAME = 4; // Geometry swaps per frame (new levels are built on demand)
+
+// ========== LEVEL OF DETAIL NAMESPACE ==========
+const LevelOfDetail = {
+    frameTime: 1000 / 60, // Smoothed frame time in milliseconds
+    frameBias: 0, // Levels dropped because frames are too slow
+    updateTimer: 0,
+    adjustTimer: 0,
+    fullDetail: false, // Forced on during high-res exports
+    pendingSwaps: [], // { letterObj, level } for letters whose level changed, still on their old geometry
+
+    /**
+     * Get the tessellation for a detail level
+     * @param {number} level - Detail level (0 = full detail)
+     * @returns {Object} { curveSegments, bevelSegments, detail } where detail is the level's fraction
+     */
+    getSegments: function(level) {
+        const settings = InflatableText.settings;
+        const detail = LOD_LEVELS[level];
+        return {
+            curveSegments: Math.max(Math.round(settings.curveSegments * detail), Math.min(settings.curveSegments, LOD_MIN_CURVE_SEGMENTS)),
+            bevelSegments: Math.max(Math.round(settings.bevelSegments * detail), Math.min(settings.bevelSegments, LOD_MIN_BEVEL_SEGMENTS)),
+            detail: detail
+        };
+    },
+
+    /**
+     * Get a letter's height on screen
+     * @param {Object} letterObj - Letter object
+     * @returns {number} Height in drawing buffer pixels (Infinity before the camera exists)
+     */
+    getProjectedSize: function(letterObj) {
+        const camera = InflatableText.camera;
+        const renderer = InflatableText.renderer;
+        if (!camera || !renderer) return Infinity;
+
+        const dx = letterObj.position.x - camera.position.x;
+        const dy = letterObj.position.y - camera.position.y;
+        const dz = letterObj.position.z - camera.position.z;
+        const distance = Math.max(Math.sqrt(dx * dx + dy * dy + dz * dz), camera.near);
+        const visibleHeight = 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) * distance;
+        const scale = letterObj.mesh ? letterObj.mesh.scale.y : 1;
+
+        return letterObj.fontSize * scale / visibleHeight * renderer.domElement.height;
+    },
+
+    /**
+     * Pick the size-based detail level for a height on screen
+     * Inside the margin around a threshold the current level is kept
+     * @param {number} pixels - Letter height on screen in pixels
+     * @param {number} currentLevel - Size level the letter has now (undefined for a new letter)
+     * @returns {number} Size level (0 = full detail)
+     */
+    pickSizeLevel: function(pixels, currentLevel) {
+        let level = LOD_PIXEL_THRESHOLDS.findIndex(threshold => pixels >= threshold);
+        if (level === -1) level = LOD_PIXEL_THRESHOLDS.length;
+        if (currentLevel === undefined || level === currentLevel) return level;
+
+        // Finer levels need the letter to grow past the threshold's upper margin, coarser ones to shrink past the lower one
+        const finer = level < currentLevel;
+        const margin = finer ? 1 + LOD_HYSTERESIS : 1 - LOD_HYSTERESIS;
+        level = LOD_PIXEL_THRESHOLDS.findIndex(threshold => pixels >= threshold * margin);
+        if (level === -1) level = LOD_PIXEL_THRESHOLDS.length;
+        return finer ? Math.min(level, currentLevel) : Math.max(level, currentLevel);
+    },
+
+    /**
+     * Pick the detail level for a letter
+     * The size-based part is remembered on the letter (lodSizeLevel) for the hysteresis
+     * @param {Object} letterObj - Letter object
+     * @returns {number} Detail level (0 = full detail)
+     */
+    pickLevel: function(letterObj) {
+        if (LevelOfDetail.fullDetail || !InflatableText.settings.lodEnabled) return 0;
+
+        // Smaller letters on screen need fewer segments
+        const pixels = LevelOfDetail.getProjectedSize(letterObj);
+        let level = LevelOfDetail.pickSizeLevel(pixels, letterObj.lodSizeLevel);
+        letterObj.lodSizeLevel = level;
+
+        // Dense text and slow frames drop further
+        const count = InflatableText.letterMeshes.length;
+        if (count > LOD_LETTERS_PER_LEVEL) {
+            level += Math.ceil(Math.log2(count / LOD_LETTERS_PER_LEVEL));
+        }
+        level += LevelOfDetail.frameBias;
+
+        return Math.min(level, LOD_LEVELS.length - 1);
+    },
+
+    /**
+     * Pick the detail level a letter of some size would get at the center of the scene
+     * @param {number} fontSize - Font size in world units
+     * @returns {number} Detail level (0 = full detail)
+     */
+    pickLevelAt: function(fontSize) {
+        return LevelOfDetail.pickLevel({ position: { x: 0, y: 0, z: 0 }, fontSize: fontSize, mesh: null });
+    },
+
+    /**
+     * Track the frame time and move letters to their current levels (called once per frame)
+     * @param {number} deltaTime - Frame time in seconds
+     */
+    update: function(deltaTime) {
+        const settings = InflatableText.settings;
+
+        // Nudge the bias one level at a time, with a dead band so it doesn't flicker
+        LevelOfDetail.frameTime += (deltaTime * 1000 - LevelOfDetail.frameTime) * 0.05;
+        LevelOfDetail.adjustTimer += deltaTime;
+        if (LevelOfDetail.adjustTimer >= LOD_ADJUST_INTERVAL) {
+            LevelOfDetail.adjustTimer = 0;
+            const targetFrameTime = 1000 / settings.lodTargetFps;
+            if (settings.lodEnabled && LevelOfDetail.frameTime > targetFrameTime * 1.3) {
+                LevelOfDetail.frameBias = Math.min(LevelOfDetail.frameBias + 1, LOD_LEVELS.length - 1);
+            } else if (!settings.lodEnabled || LevelOfDetail.frameTime < targetFrameTime * 1.05) {
+                LevelOfDetail.frameBias = Math.max(LevelOfDetail.frameBias - 1, 0);
+            }
+        }
+
+        LevelOfDetail.updateTimer += deltaTime;
+        if (LevelOfDetail.updateTimer >= LOD_UPDATE_INTERVAL) {
+            LevelOfDetail.updateTimer = 0;
+            LevelOfDetail.pendingSwaps = [];
+
+            // Pick each letter's level once: picking moves its hysteresis state, so a second pick could disagree
+            InflatableText.letterMeshes.forEach(letterObj => {
+                if (!letterObj.mesh || letterObj.isDying) return;
+                const level = LevelOfDetail.pickLevel(letterObj);
+                if (level !== letterObj.lodLevel) {
+                    LevelOfDetail.pendingSwaps.push({ letterObj: letterObj, level: level });
+                }
+            });
+        }
+
+        const swaps = LevelOfDetail.pendingSwaps.splice(0, LOD_SWAPS_PER_FRAME);
+        swaps.forEach(swap => LevelOfDetail.setLevel(swap.letterObj, swap.level));
+    },
+
+    /**
+     * Move a letter to a detail level
+     * @param {Object} letterObj - Letter object
+     * @param {number} level - Detail level
+     */
+    setLevel: function(letterObj, level) {
+        if (!letterObj.mesh || letterObj.lodLevel === level) return;
+
+        const oldGeometry = letterObj.mesh.geometry;
+        letterObj.lodLevel = level;
+        letterObj.mesh.geometry = GeometryCache.acquire(letterObj.char, letterObj.fontSize, level);
+        GeometryCache.release(oldGeometry);
+    },
+
+    /**
+     * Force every letter to full detail (for exports) or go back to adaptive levels
+     * @param {boolean} enabled - True to force full detail right away
+     */
+    setFullDetail: function(enabled) {
+        LevelOfDetail.fullDetail = enabled;
+        if (enabled) {
+            InflatableText.letterMeshes.forEach(letterObj => LevelOfDetail.setLevel(letterObj, 0));
+        }
+        LevelOfDetail.updateTimer = LOD_UPDATE_INTERVAL; // Re-check levels next frame
+    },
+
+    /**
+     * Get LOD statistics (for the debug panel)
+     * @returns {Object} { counts: letters per level, frameTime, frameBias }
+     */
+    getStats: function() {
+        const counts = LOD_LEVELS.map(() => 0);
+        InflatableText.letterMeshes.forEach(letterObj => {
+            if (letterObj.mesh) counts[letterObj.lodLevel]++;
+        });
+        return { counts: counts, frameTime: LevelOfDetail.frameTime, frameBias: LevelOfDetail.frameBias };
+    }
+};
+
+// Make LevelOfDetail globally available
+window.LevelOfDetail = LevelOfDetail;
@@ -21,6 +21,7 @@ const Lighting = {
         InflatableText.lights.main = new THREE.DirectionalLight(0xffffff, InflatableText.settings.mainLightIntensity);
         InflatableText.lights.main.position.set(10, 20, 10);
         InflatableText.lights.main.castShadow = true;
+        InflatableText.lights.main.shadow.mapSize.set(2048, 2048); // Spread over the whole physics box (see fitShadowToBounds())
         InflatableText.scene.add(InflatableText.lights.main);
 
         // Fill light (softer, from opposite side)
@@ -106,6 +107,26 @@ const Lighting = {
         }
     },
 
+    /**
+     * Fit the main light's shadow to the physics box, so letters anywhere in it shadow each other
+     * @param {Object} bounds - Canvas bounds { minX, maxX, minY, maxY, minZ, maxZ }
+     */
+    fitShadowToBounds: function(bounds) {
+        const light = InflatableText.lights.main;
+        if (!light) return;
+
+        // The light shines in at an angle, so cover the box from any side (plus a letter's reach past the walls)
+        const reach = Math.hypot(bounds.maxX - bounds.minX, bounds.maxY - bounds.minY, bounds.maxZ - bounds.minZ) / 2 + InflatableText.settings.fontSize;
+        const shadowCamera = light.shadow.camera;
+        shadowCamera.left = -reach;
+        shadowCamera.right = reach;
+        shadowCamera.top = reach;
+        shadowCamera.bottom = -reach;
+        shadowCamera.near = 0.5;
+        shadowCamera.far = 200; // Deep enough wherever the light is moved
+        shadowCamera.updateProjectionMatrix();
+    },
+
     /**
      * Update main light position (useful for light-follows-mouse feature)
      * @param {number} x - X position
@@ -4,7 +4,9 @@
  *
  * Features:
  * - Three.js 3D rendering with custom shader material
- * - GPU-based vertex inflation along normals
+ * - GPU-based vertex inflation: each letter's geometry is built once and the vertex
+ *   shader blends its flat and fully inflated shapes by an inflation uniform
+ * - Selectable inflation curves with an optional overshoot wobble
  * - Real-time geometry parameter editing
  * - Fixed camera position for consistent background sizing
  */
@@ -16,6 +18,10 @@ const InflatableText = {
     renderer: null,
     controls: null,
     letterMeshes: [], // Array of individual letter objects
+    textBlocks: [], // Independent text layers (see text-blocks.js)
+    activeBlockIndex: 0, // Block edited by the panel
+    forceFields: [], // Wind, turbulence, vortex and attractor fields (see force-fields.js)
+    activeFieldIndex: 0, // Field edited by the panel
     font: null,
     isInitialized: false,
     canvas: null,
@@ -23,11 +29,26 @@ const InflatableText = {
     // Settings
     settings: {
         inflationSpeed: 1.0, // Speed of bevel animation (higher = faster)
+        inflationCurve: 'easeOutCubic', // Inflation easing: a name from EasingFunctions or 'cubicBezier'
+        inflationBezier: [0.34, 1.56, 0.64, 1], // Control points (x1, y1, x2, y2) for the 'cubicBezier' curve
+        inflationOvershoot: false, // Over-inflate, wobble and settle once the curve finishes
+        overshootAmount: 0.2, // Wobble size as a fraction of full inflation
+        overshootFrequency: 3, // Wobbles per second
+        overshootDamping: 0.3, // How quickly the wobble dies out (0 = never, 1 = no wobble)
+        glideSpeed: 8, // How quickly kept letters slide to their new slots after a text edit
+        exitAnimation: 'deflate', // How removed letters leave: 'deflate', 'pop' or 'float'
+        exitSpeed: 1.0, // Speed of exit animations (higher = faster)
         fontSize: 5,
         autoSpacing: true, // Automatically calculate spacing based on font size
         randomSpawn: false, // Use random spawn positions instead of grid layout
+        pathLayout: false, // Place letters along a curve instead of in lines
         letterSpacing: 0.3, // Multiplier for spacing between letters (0.1 = very tight, 2 = very loose)
         lineSpacing: 0.3, // Multiplier for spacing between lines (0.1 = very tight, 2 = very loose)
+        textAlign: 'center', // Horizontal alignment: 'left', 'center', 'right' or 'justify'
+        verticalAlign: 'middle', // Vertical anchoring: 'top', 'middle', 'bottom' or 'baseline'
+        textCase: 'upper', // Letter case: 'preserve', 'upper' or 'lower'
+        textDirection: 'auto', // Paragraph direction: 'auto' (from the first strong letter), 'ltr' or 'rtl'
+        fitToBox: false, // Pick the largest font size that fits the inflated text in the bounding box (automatic spacing)
         backgroundColor: '#000000',
         backgroundImage: null, // Background image texture
         backgroundImageSprite: null, // Sprite for background image rendering
@@ -39,13 +60,22 @@ const InflatableText = {
 
         // Fixed geometry parameters
         extrudeDepth: 0.2,
-        curveSegments: 64,
+        curveSegments: 64, // Full detail - the LOD system uses fractions of these (see level-of-detail.js)
         bevelSegments: 32,
 
+        // Level of detail
+        lodEnabled: true, // Lower tessellation for small, numerous letters and slow frames
+        lodTargetFps: 60, // Frame rate the LOD system tries to hold
+
         // Inflation targets (ONLY thing that animates)
         targetBevelThickness: 0.23,
         targetBevelSize: 0.15,
 
+        // Inflation model: 'bevel' (extruded glyph with a growing bevel) or 'pressure' (sewn foil membrane)
+        inflationModel: 'bevel',
+        membranePressure: 1.0, // Pressure model: internal pressure (higher = rounder)
+        membraneStiffness: 1.0, // Pressure model: how fast the membrane's tension rises as it stretches (higher = flatter at high pressure)
+
         // Squish Animation settings
         squishAnimation: false, // Enable squish animation
         squishSpeed: 1.0, // Speed of squish animation
@@ -56,12 +86,40 @@ const InflatableText = {
         squishHeightMin: 0.5, // Minimum height as percentage (50% = 0.5)
         squishHeightMax: 1.5, // Maximum height as percentage (150% = 1.5)
 
+        // Text path settings (used when pathLayout is on)
+        pathShape: 'circle', // 'circle', 'arc', 'wave' or 'svg'
+        pathSize: 0.8, // Fraction of the bounding box the path fills
+        pathArcSweep: 180, // Arc sweep in degrees
+        pathWaveAmplitude: 5, // Wave height in world units
+        pathWaveFrequency: 1, // Number of wave cycles across the box
+        pathSvgData: null, // Uploaded SVG file contents
+
         // Physics settings
         spawnRadius: 5,
-        gravity: 0,
+        gravity: 0, // Used when balloonFill is 'custom'
+        balloonFill: 'custom', // 'custom' (the gravity setting), 'helium', 'air' or 'water' (lift from the fill, see buoyancy.js)
+        airDrag: 1.0, // Quadratic air drag (1 = real air, 0 = none)
         boundaryPadding: 5, // Padding from canvas edges
+        worldDepth: 0, // Depth of the physics box (front and back walls at ±half around z = 0, 0 = flat like a sheet)
         bounciness: 0.1, // 0 = no bounce, 1 = full bounce
-        colliderSize: 0.4, // Multiplier for collision radius (0.3 = small, 2 = large)
+        colliderShape: 'circle', // 'circle' (sized by colliderSize) or 'glyph' (convex hull of the letter outline)
+        colliderSize: 0.4, // Multiplier for circle collider radius (0.3 = small, 2 = large)
+        angularDamping: 0.03, // Share of spin lost per frame (0 = spins forever)
+        uprightStrength: 0.01, // Torque turning tilted letters back upright (0 = off)
+
+        // Balloon string settings (see balloon-strings.js)
+        stringsEnabled: false, // Tie a string from each letter to an anchor
+        stringAnchor: 'bouquet', // 'bouquet' (one knot below the text) or 'ground' (a point under each letter)
+        stringLength: 1.0, // String length relative to the distance from a letter's slot to its anchor (1 = taut at the slot)
+        stringColor: '#ffffff',
+
+        // Pointer interaction settings (see pointer-interaction.js)
+        pointerEnabled: false, // Grab, fling and poke letters with the mouse or touch (off by default: a press on a letter stops orbiting)
+        grabStiffness: 0.1, // Spring pulling a held letter to the pointer
+        flingStrength: 1.0, // Share of the pointer's speed a released letter keeps
+        pokeStrength: 0.5, // Impulse from tapping a letter (world units per frame)
+        repelRadius: 0, // Letters within this distance of the pointer are pushed away (0 = off)
+        repelStrength: 0.05, // Push at the pointer, fading to nothing at the radius
 
         // Bounding box settings
         useBoundingBoxSize: false, // Use custom width/height instead of auto-calculated
@@ -93,6 +151,7 @@ const InflatableText = {
 
         // Debug options
         showBoundingBox: true,
+        showForceFields: true, // Rings (and wind arrows) where force fields are placed
 
         // Typing animation settings
         playTypingAnimation: false, // Toggle for typing animation
@@ -129,7 +188,9 @@ const InflatableText = {
         minX: -400,
         maxX: 400,
         minY: -300,
-        maxY: 300
+        maxY: 300,
+        minZ: 0,
+        maxZ: 0
     },
 
     // Mouse position in 3D space
@@ -214,9 +275,15 @@ function init() {
     // Load font (don't create initial text)
     loadFont();
 
+    // Create the first text block (edited by the text input)
+    TextBlocks.add();
+
     // Setup controls
     setupControls();
 
+    // Grab, fling and poke letters
+    PointerInteraction.setup(InflatableText.canvas);
+
     // Canvas click interaction removed - using grid layout now
 
     // Mouse move tracking for light following
@@ -327,8 +394,11 @@ function updateCanvasBounds() {
         minX: -(visibleWidth / 2) + padding,
         maxX: (visibleWidth / 2) - padding,
         minY: -(visibleHeight / 2) + padding,
-        maxY: (visibleHeight / 2) - padding
+        maxY: (visibleHeight / 2) - padding,
+        minZ: -InflatableText.settings.worldDepth / 2,
+        maxZ: InflatableText.settings.worldDepth / 2
     };
+    Lighting.fitShadowToBounds(InflatableText.canvasBounds);
 
     // Update debug bounding box
     updateBoundingBoxDebug();
@@ -339,7 +409,7 @@ let debugBoundingBox = null;
 
 function createBoundingBoxDebug() {
     // Create a wireframe box to visualize boundaries
-    const geometry = new THREE.BoxGeometry(1, 1, 5);
+    const geometry = new THREE.BoxGeometry(1, 1, 1);
     const edges = new THREE.EdgesGeometry(geometry);
     const material = new THREE.LineBasicMaterial({ color: 0x00ff00, linewidth: 2 });
     debugBoundingBox = new THREE.LineSegments(edges, material);
@@ -354,9 +424,10 @@ function updateBoundingBoxDebug() {
     const height = bounds.maxY - bounds.minY;
     const centerX = (bounds.minX + bounds.maxX) / 2;
     const centerY = (bounds.minY + bounds.maxY) / 2;
+    const depth = Math.max(bounds.maxZ - bounds.minZ, 0.01);
 
-    debugBoundingBox.scale.set(width, height, 1);
-    debugBoundingBox.position.set(centerX, centerY, 0);
+    debugBoundingBox.scale.set(width, height, depth);
+    debugBoundingBox.position.set(centerX, centerY, (bounds.minZ + bounds.maxZ) / 2);
     debugBoundingBox.visible = InflatableText.settings.showBoundingBox;
 }
 
@@ -455,23 +526,21 @@ function createBackgroundSprite() {
 
 // ========== FONT LOADING ==========
 function loadFont() {
-    const loader = new THREE.FontLoader();
-
-    // Load Balloony Regular JSON font
-    loader.load(
-        'fonts/Balloony_Regular.json',
-        function(font) {
-            InflatableText.font = font;
+    // Load Balloony Regular and its fallback fonts (see FONT_CHAIN in font-chain.js)
+    FontChain.load(
+        function() {
             console.log('✅ Balloony Regular font loaded - Start typing!');
 
-            // Enable text input once font is loaded
+            prewarmLetterGeometry();
+            updateKerningStatus();
+
+            // Enable text input once the fonts are loaded
             const textInput = document.getElementById('text-input');
             textInput.disabled = false;
             textInput.placeholder = "Type letters...";
             textInput.value = ""; // Clear initial value
             textInput.focus(); // Auto-focus for typing
         },
-        undefined,
         function(error) {
             console.error('❌ Error loading Balloony font:', error);
             alert('Font loading failed. Please refresh the page.');
@@ -487,18 +556,26 @@ function createBalloonMaterial(colorIndex) {
 }
 
 // ========== CREATE INDIVIDUAL LETTER MESH ==========
-function createLetterMesh(char, letterIndex, gridPosition = null) {
+// block is the text block the letter belongs to (null for clock digits, which use the global settings)
+function createLetterMesh(char, letterIndex, gridPosition = null, block = null) {
     if (!InflatableText.font) {
         console.warn('⚠️ Font not loaded yet');
         return null;
     }
 
+    const settings = block ? block.settings : InflatableText.settings;
+
     let spawnX, spawnY;
+    let rotation = 0;
+
+    let fontSize = settings.fontSize;
 
     if (gridPosition) {
         // Use grid position (from text layout)
         spawnX = gridPosition.x;
         spawnY = gridPosition.y;
+        rotation = gridPosition.rotation || 0; // Letters on a path follow its tangent
+        fontSize = gridPosition.fontSize || fontSize; // Fit to box and [size=] markup pick their own size
     } else {
         // Calculate random spawn position around center (fallback)
         const angle = Math.random() * Math.PI * 2;
@@ -513,10 +590,10 @@ function createLetterMesh(char, letterIndex, gridPosition = null) {
         mesh: null,
 
         // Inflation animation (ONLY thing that animates during spawn)
-        currentBevelThickness: 0,
-        currentBevelSize: 0,
         inflation: 0, // 0 to 1
+        inflationUniform: { value: 0 }, // Eased inflation read by the vertex shader (see Materials.enableInflation())
         isInflating: true,
+        wobbleTime: 0, // Seconds since the curve finished (overshoot wobble)
 
         // Physics
         velocity: {
@@ -528,20 +605,37 @@ function createLetterMesh(char, letterIndex, gridPosition = null) {
             x: spawnX,
             y: spawnY,
             z: 0
-        }
+        },
+        rotation: rotation,
+        restRotation: rotation, // Upright angle the letter turns back to (its slot's rotation)
+        angularVelocity: 0, // Radians per frame (at 60fps), like velocity
+        glideTarget: null, // { x, y, z, rotation } slot to slide to after a text edit
+
+        // Owning text block and the settings its style and physics come from
+        block: block,
+        settings: settings,
+        fontSize: fontSize,
+        style: (gridPosition && gridPosition.style) || null, // Rich text overrides (color, size, material, static)
+        isStatic: !!(gridPosition && gridPosition.style && gridPosition.style.isStatic),
+
+        // Palette slot, kept for the letter's lifetime so edits don't recolor it
+        colorIndex: letterIndex
     };
 
-    // Create initial geometry with 0 bevel (flat)
-    const geometry = createLetterGeometry(char, 0, 0);
+    // Share the geometry with identical letters - the shader inflates it from flat
+    letterObj.lodLevel = LevelOfDetail.pickLevel(letterObj);
+    const geometry = GeometryCache.acquire(char, letterObj.fontSize, letterObj.lodLevel);
 
     // Create material with color from palette, cycling through based on letter index
-    const material = createBalloonMaterial(letterIndex);
+    const material = Materials.createLetterMaterial(letterObj);
 
     // Create mesh
     letterObj.mesh = new THREE.Mesh(geometry, material);
     letterObj.mesh.position.set(letterObj.position.x, letterObj.position.y, letterObj.position.z);
+    letterObj.mesh.rotation.z = letterObj.rotation;
     letterObj.mesh.castShadow = true;
     letterObj.mesh.receiveShadow = true;
+    letterObj.mesh.customDepthMaterial = Materials.createInflationDepthMaterial(letterObj.inflationUniform);
 
     // Add to scene
     InflatableText.scene.add(letterObj.mesh);
@@ -551,16 +645,18 @@ function createLetterMesh(char, letterIndex, gridPosition = null) {
 }
 
 // ========== CREATE LETTER GEOMETRY ==========
-function createLetterGeometry(char, bevelThickness, bevelSize) {
-    const geometry = new THREE.TextGeometry(char, {
-        font: InflatableText.font,
-        size: InflatableText.settings.fontSize,
-        height: InflatableText.settings.fontSize * InflatableText.settings.extrudeDepth,
-        curveSegments: InflatableText.settings.curveSegments,
+function createLetterGeometry(char, bevelThickness, bevelSize, fontSize = InflatableText.settings.fontSize, segments = LevelOfDetail.getSegments(0)) {
+    // Draw the glyph from the first font in the fallback chain that has it
+    const resolved = FontChain.getGlyph(char);
+    const geometry = new THREE.TextGeometry(resolved.char, {
+        font: resolved.font,
+        size: fontSize * resolved.sizeScale,
+        height: fontSize * InflatableText.settings.extrudeDepth,
+        curveSegments: segments.curveSegments,
         bevelEnabled: true,
-        bevelThickness: InflatableText.settings.fontSize * bevelThickness,
-        bevelSize: InflatableText.settings.fontSize * bevelSize,
-        bevelSegments: InflatableText.settings.bevelSegments
+        bevelThickness: fontSize * bevelThickness,
+        bevelSize: fontSize * bevelSize,
+        bevelSegments: segments.bevelSegments
     });
 
     geometry.computeBoundingBox();
@@ -583,6 +679,56 @@ function createLetterGeometry(char, bevelThickness, bevelSize) {
     return geometry;
 }
 
+// ========== CREATE INFLATABLE GEOMETRY ==========
+// Fully inflated letter geometry that also carries the flat shape (flatPosition/flatNormal)
+// Bevel vertices scale linearly with bevel size, so blending the two shapes in the vertex
+// shader matches rebuilding the geometry at any inflation
+function createInflatableGeometry(char, fontSize = InflatableText.settings.fontSize, level = 0) {
+    const settings = InflatableText.settings;
+    const segments = LevelOfDetail.getSegments(level);
+
+    // Sewn foil balloon shape from the pressure simulation
+    if (settings.inflationModel === 'pressure') {
+        return Membrane.createGeometry(char, fontSize, segments);
+    }
+
+    const geometry = createLetterGeometry(char, settings.targetBevelThickness, settings.targetBevelSize, fontSize, segments);
+    const flatGeometry = createLetterGeometry(char, 0, 0, fontSize, segments);
+
+    // Same segment counts give both shapes the same vertices in the same order
+    geometry.setAttribute('flatPosition', flatGeometry.getAttribute('position'));
+    geometry.setAttribute('flatNormal', flatGeometry.getAttribute('normal'));
+    flatGeometry.dispose();
+
+    return geometry;
+}
+
+// ========== REBUILD LETTER GEOMETRY ==========
+// Swap every letter's geometry after the inflation model or its settings change
+function rebuildAllLetterGeometry() {
+    InflatableText.letterMeshes.forEach(letterObj => {
+        if (!letterObj.mesh) return;
+
+        const oldGeometry = letterObj.mesh.geometry;
+        letterObj.mesh.geometry = GeometryCache.acquire(letterObj.char, letterObj.fontSize, letterObj.lodLevel);
+        GeometryCache.release(oldGeometry);
+    });
+
+    prewarmLetterGeometry();
+}
+
+// ========== PRE-WARM LETTER GEOMETRY ==========
+// Build common letters (at the edited block's size) and the clock digits in the background, at the
+// detail level they'd get at the center - replaces the pins made with earlier settings
+function prewarmLetterGeometry() {
+    const activeBlock = TextBlocks.getActive();
+    const fontSize = activeBlock ? activeBlock.settings.fontSize : InflatableText.settings.fontSize;
+
+    GeometryCache.clearPins();
+    GeometryCache.prewarm(PREWARM_CHARS, fontSize, LevelOfDetail.pickLevelAt(fontSize));
+    GeometryCache.prewarm('0123456789:', ClockMode.clockFontSize, LevelOfDetail.pickLevelAt(ClockMode.clockFontSize));
+}
+
 // ========== EASING FUNCTIONS ==========
 const EasingFunctions = {
     linear: (t) => t,
@@ -597,6 +743,8 @@ const EasingFunctions = {
 
     easeOut: (t) => 1 - Math.pow(1 - t, 2),
 
+    easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+
     bounce: (t) => {
         const n1 = 7.5625;
         const d1 = 2.75;
@@ -619,6 +767,60 @@ const EasingFunctions = {
     }
 };
 
+/**
+ * Create a CSS-style cubic-bezier easing (curve from (0, 0) to (1, 1))
+ * y values outside 0..1 overshoot, like CSS's "back" easings
+ * @param {number} x1 - First control point x (clamped to 0..1)
+ * @param {number} y1 - First control point y
+ * @param {number} x2 - Second control point x (clamped to 0..1)
+ * @param {number} y2 - Second control point y
+ * @returns {Function} Easing function of t in 0..1
+ */
+function createCubicBezier(x1, y1, x2, y2) {
+    x1 = Math.min(Math.max(x1, 0), 1);
+    x2 = Math.min(Math.max(x2, 0), 1);
+
+    // Polynomial coefficients of each coordinate
+    const cx = 3 * x1;
+    const bx = 3 * (x2 - x1) - cx;
+    const ax = 1 - cx - bx;
+    const cy = 3 * y1;
+    const by = 3 * (y2 - y1) - cy;
+    const ay = 1 - cy - by;
+
+    const sampleX = (s) => ((ax * s + bx) * s + cx) * s;
+    const sampleY = (s) => ((ay * s + by) * s + cy) * s;
+    const sampleSlopeX = (s) => (3 * ax * s + 2 * bx) * s + cx;
+
+    // Find the curve parameter whose x is t: Newton's method, then bisection if it stalls
+    const solveX = (t) => {
+        let s = t;
+        for (let i = 0; i < 8; i++) {
+            const error = sampleX(s) - t;
+            if (Math.abs(error) < 1e-6) return s;
+            const slope = sampleSlopeX(s);
+            if (Math.abs(slope) < 1e-6) break;
+            s -= error / slope;
+        }
+
+        let low = 0;
+        let high = 1;
+        s = t;
+        while (high - low > 1e-6) {
+            if (sampleX(s) < t) low = s;
+            else high = s;
+            s = (low + high) / 2;
+        }
+        return s;
+    };
+
+    return (t) => {
+        if (t <= 0) return 0;
+        if (t >= 1) return 1;
+        return sampleY(solveX(t));
+    };
+}
+
 // ========== UPDATE SQUISH ANIMATION ==========
 function updateSquishAnimation(deltaTime) {
     if (!InflatableText.settings.squishAnimation) {
@@ -665,10 +867,8 @@ function startTypingAnimation() {
         return;
     }
 
-    const textInput = document.getElementById('text-input');
-    const text = textInput.value.toUpperCase();
-    
-    if (!text.trim()) {
+    const hasText = InflatableText.textBlocks.some(block => block.text.trim());
+    if (!hasText) {
         console.warn('⚠️ No text to animate');
         return;
     }
@@ -676,59 +876,22 @@ function startTypingAnimation() {
     // Clear existing letters
     clearAllLetters();
 
-    // Build letter queue from text
+    // Build letter queue from the shared text layout (same as live typing), one block after another
     InflatableText.typingState.letterQueue = [];
-    const lines = text.split('\n');
-    
-    // Calculate grid layout parameters (same as in ui.js)
-    const bounds = InflatableText.canvasBounds;
-    const boxWidth = bounds.maxX - bounds.minX;
-    const boxHeight = bounds.maxY - bounds.minY;
-
-    let letterWidth, letterHeight;
-    if (InflatableText.settings.autoSpacing) {
-        letterWidth = InflatableText.settings.fontSize * 1.2;
-        letterHeight = InflatableText.settings.fontSize * 1.5;
-    } else {
-        const maxLineLength = Math.max(...lines.map(line => line.length));
-        letterWidth = (boxWidth / maxLineLength) * InflatableText.settings.letterSpacing;
-        letterHeight = (boxHeight / lines.length) * InflatableText.settings.lineSpacing;
-    }
-
-    // Calculate total height and center vertically
-    const totalTextHeight = lines.length * letterHeight;
-    const verticalOffset = (boxHeight - totalTextHeight) / 2;
-
-    // Build letter queue with positions
-    lines.forEach((line, rowIndex) => {
-        const lineLength = line.replace(/\s/g, '').length;
-        const lineWidth = lineLength * letterWidth;
-        const centerOffset = (boxWidth - lineWidth) / 2;
-
-        let charIndexInLine = 0;
-        for (let colIndex = 0; colIndex < line.length; colIndex++) {
-            const char = line[colIndex];
-            if (char.trim()) {
-                let x, y;
-                if (InflatableText.settings.randomSpawn) {
-                    const angle = Math.random() * Math.PI * 2;
-                    const radius = InflatableText.settings.spawnRadius;
-                    x = Math.cos(angle) * radius;
-                    y = Math.sin(angle) * radius;
-                } else {
-                    x = bounds.minX + centerOffset + charIndexInLine * letterWidth + letterWidth / 2;
-                    y = bounds.maxY - verticalOffset - rowIndex * letterHeight - letterHeight / 2;
-                }
-
-                InflatableText.typingState.letterQueue.push({
-                    char: char,
-                    x: x,
-                    y: y,
-                    index: InflatableText.typingState.letterQueue.length
-                });
-                charIndexInLine++;
-            }
-        }
+    InflatableText.textBlocks.forEach(block => {
+        const layout = TextBlocks.layout(block);
+        layout.letters.forEach(letter => {
+            InflatableText.typingState.letterQueue.push({
+                char: letter.char,
+                x: letter.x,
+                y: letter.y,
+                rotation: letter.rotation,
+                index: letter.index,
+                fontSize: letter.fontSize,
+                style: letter.style,
+                block: block
+            });
+        });
     });
 
     // Reset typing state
@@ -762,8 +925,14 @@ function updateTypingAnimation(deltaTime) {
         if (currentIndex < queue.length) {
             // Spawn next letter
             const letterData = queue[currentIndex];
-            const gridPosition = { x: letterData.x, y: letterData.y };
-            const letterObj = createLetterMesh(letterData.char, letterData.index, gridPosition);
+            const gridPosition = {
+                x: letterData.x,
+                y: letterData.y,
+                rotation: letterData.rotation,
+                fontSize: letterData.fontSize,
+                style: letterData.style
+            };
+            const letterObj = createLetterMesh(letterData.char, letterData.index, gridPosition, letterData.block);
             
             if (letterObj) {
                 InflatableText.letterMeshes.push(letterObj);
@@ -785,60 +954,294 @@ function updateTypingAnimation(deltaTime) {
     }
 }
 
+// Play the exit animation on every letter (they're removed once it finishes)
 function clearAllLetters() {
-    InflatableText.letterMeshes.forEach(letterObj => {
-        if (letterObj.mesh) {
-            InflatableText.scene.remove(letterObj.mesh);
-            letterObj.mesh.geometry.dispose();
-            letterObj.mesh.material.dispose();
+    InflatableText.letterMeshes.forEach(letterObj => ExitAnimations.start(letterObj));
+}
+
+// ========== DISPOSE LETTER ==========
+// Remove a letter's mesh from the scene and free its GPU resources
+function disposeLetter(letterObj) {
+    BalloonStrings.detach(letterObj);
+    PointerInteraction.release(letterObj);
+    if (!letterObj.mesh) return;
+
+    InflatableText.scene.remove(letterObj.mesh);
+    GeometryCache.release(letterObj.mesh.geometry);
+    letterObj.mesh.material.dispose();
+    letterObj.mesh.customDepthMaterial.dispose();
+    letterObj.mesh = null;
+}
+
+// ========== LIVE TEXT EDITING ==========
+// Sync every text block's letters with its text
+function updateAllBlockLetters() {
+    InflatableText.textBlocks.forEach(block => updateBlockLetters(block));
+}
+
+/**
+ * Sync the letters on screen with a block's edited text
+ * Letters that survive the edit keep their mesh, material and inflation state
+ * and glide to their new slots; only newly typed characters spawn and inflate
+ * @param {Object} block - Text block whose text or settings changed
+ */
+function updateBlockLetters(block) {
+    const isLiveBlockLetter = letterObj => letterObj.block === block && !letterObj.isDying;
+    const oldLetters = InflatableText.letterMeshes.filter(isLiveBlockLetter);
+    const otherLetters = InflatableText.letterMeshes.filter(letterObj => !isLiveBlockLetter(letterObj));
+
+    // If empty, clear the block
+    if (!TextBlocks.getPlainText(block)) {
+        oldLetters.forEach(letterObj => ExitAnimations.start(letterObj));
+        return;
+    }
+
+    // Lay out the text (shared with typing animation and clock mode)
+    const layout = TextBlocks.layout(block);
+    const newLetters = layout.letters;
+
+    // Match kept letters by character sequence rather than by index (restyled letters count as new)
+    const matches = TextDiff.matchSequences(
+        oldLetters.map(letterObj => letterObj.char + RichText.getStyleKey(letterObj.style)),
+        newLetters.map(letter => letter.char + RichText.getStyleKey(letter.style))
+    );
+
+    const keptLetters = new Set();
+    const updatedLetters = [];
+
+    newLetters.forEach((newLetter, index) => {
+        const oldIndex = matches[index];
+
+        if (oldIndex === -1) {
+            // Create new letter in its slot, colored unlike the letters either side of it
+            const nextIndex = matches[index + 1];
+            const neighbors = [
+                updatedLetters[updatedLetters.length - 1],
+                nextIndex !== undefined && nextIndex !== -1 ? oldLetters[nextIndex] : null
+            ];
+            const colorIndex = pickColorIndex(newLetter.index, neighbors, block.settings.letterColors);
+            const gridPosition = {
+                x: newLetter.x,
+                y: newLetter.y,
+                rotation: newLetter.rotation,
+                fontSize: newLetter.fontSize,
+                style: newLetter.style
+            };
+            const letterObj = createLetterMesh(newLetter.char, colorIndex, gridPosition, block);
+            if (letterObj) {
+                updatedLetters.push(letterObj);
+            }
+            return;
+        }
+
+        const letterObj = oldLetters[oldIndex];
+        keptLetters.add(letterObj);
+        updatedLetters.push(letterObj);
+
+        // Resize kept letters when the block's font size (or fitted size) changed
+        if (letterObj.fontSize !== newLetter.fontSize) {
+            letterObj.fontSize = newLetter.fontSize;
+            const oldGeometry = letterObj.mesh.geometry;
+            letterObj.mesh.geometry = GeometryCache.acquire(letterObj.char, letterObj.fontSize, letterObj.lodLevel);
+            GeometryCache.release(oldGeometry);
+        }
+
+        // Only move letters if NOT in random spawn mode AND their slot has significantly changed
+        if (!InflatableText.settings.randomSpawn) {
+            const rotation = newLetter.rotation || 0; // Follow the path tangent (0 for line layouts)
+            const slotChanged =
+                Math.abs(letterObj.position.x - newLetter.x) > 0.1 ||
+                Math.abs(letterObj.position.y - newLetter.y) > 0.1 ||
+                Math.abs(wrapAngle(letterObj.rotation - rotation)) > 0.01;
+
+            if (slotChanged) {
+                // Slots only set x and y, so letters keep their depth (inside the box, which may have shrunk)
+                const bounds = InflatableText.canvasBounds;
+                const z = Math.min(Math.max(letterObj.position.z, bounds.minZ), bounds.maxZ);
+                letterObj.glideTarget = { x: newLetter.x, y: newLetter.y, z: z, rotation: rotation };
+            }
+        }
+    });
+
+    // Letters deleted from the text play their exit animation before being removed
+    oldLetters.forEach(letterObj => {
+        if (!keptLetters.has(letterObj)) {
+            ExitAnimations.start(letterObj);
         }
     });
-    InflatableText.letterMeshes = [];
+
+    InflatableText.letterMeshes = otherLetters.concat(updatedLetters, oldLetters.filter(letterObj => letterObj.isDying));
+}
+
+/**
+ * Pick a palette slot for a new letter that differs from its neighbors where possible
+ * @param {number} preferredIndex - Slot to try first (the letter's position in the text)
+ * @param {Array<Object|null>} neighbors - Adjacent letter objects
+ * @param {Array<string>} palette - Palette the letter will be colored from
+ * @returns {number} Color index
+ */
+function pickColorIndex(preferredIndex, neighbors, palette) {
+    const paletteSize = palette.length;
+
+    for (let offset = 0; offset < paletteSize; offset++) {
+        const candidate = preferredIndex + offset;
+        const clashes = neighbors.some(neighbor =>
+            neighbor && neighbor.colorIndex % paletteSize === candidate % paletteSize
+        );
+        if (!clashes) return candidate;
+    }
+
+    return preferredIndex;
+}
+
+/**
+ * Slide a letter toward its glide target, easing out as it arrives
+ * @param {Object} letterObj - Letter with a glideTarget
+ * @param {number} deltaTime - Frame time in seconds
+ */
+function updateLetterGlide(letterObj, deltaTime) {
+    const target = letterObj.glideTarget;
+    const t = 1 - Math.exp(-InflatableText.settings.glideSpeed * deltaTime);
+
+    letterObj.position.x += (target.x - letterObj.position.x) * t;
+    letterObj.position.y += (target.y - letterObj.position.y) * t;
+    letterObj.position.z += (target.z - letterObj.position.z) * t;
+    letterObj.rotation += wrapAngle(target.rotation - letterObj.rotation) * t; // Shortest way round
+
+    // Reset velocity so the letter settles in its new slot
+    letterObj.velocity.x = 0;
+    letterObj.velocity.y = 0;
+    letterObj.velocity.z = 0;
+    letterObj.angularVelocity = 0;
+
+    const arrived =
+        Math.abs(target.x - letterObj.position.x) < 0.01 &&
+        Math.abs(target.y - letterObj.position.y) < 0.01 &&
+        Math.abs(target.z - letterObj.position.z) < 0.01;
+
+    if (arrived) {
+        letterObj.position.x = target.x;
+        letterObj.position.y = target.y;
+        letterObj.position.z = target.z;
+        letterObj.rotation = target.rotation;
+        letterObj.restRotation = target.rotation;
+        letterObj.glideTarget = null;
+    }
+
+    letterObj.mesh.position.set(letterObj.position.x, letterObj.position.y, letterObj.position.z);
+    letterObj.mesh.rotation.z = letterObj.rotation;
+}
+
+// ========== UPDATE LETTER INFLATION ==========
+/**
+ * Advance a letter's inflation along the selected curve, then wobble if overshoot is on
+ * The vertex shader extrapolates past full inflation, so the wobble over-inflates the shape
+ * @param {Object} letterObj - Letter that is still inflating
+ * @param {number} deltaTime - Frame time in seconds
+ */
+function updateLetterInflation(letterObj, deltaTime) {
+    const settings = InflatableText.settings;
+
+    if (letterObj.inflation < 1.0) {
+        letterObj.inflation = Math.min(letterObj.inflation + deltaTime * settings.inflationSpeed, 1.0);
+        letterObj.inflationUniform.value = getInflationCurve()(letterObj.inflation);
+        return;
+    }
+
+    if (settings.inflationOvershoot) {
+        letterObj.wobbleTime += deltaTime;
+        const wobble = getOvershootWobble(letterObj.wobbleTime);
+        if (wobble !== null) {
+            letterObj.inflationUniform.value = 1 + wobble;
+            return;
+        }
+    }
+
+    letterObj.inflationUniform.value = 1.0;
+    letterObj.isInflating = false; // Stop inflating
+}
+
+/**
+ * Get the easing function for the inflation curve setting
+ * @returns {Function} Maps progress 0..1 to inflation (0 at the start, 1 at the end)
+ */
+function getInflationCurve() {
+    const settings = InflatableText.settings;
+
+    if (settings.inflationCurve === 'cubicBezier') {
+        const key = settings.inflationBezier.join(',');
+        if (!inflationBezierCache || inflationBezierCache.key !== key) {
+            inflationBezierCache = { key: key, curve: createCubicBezier(...settings.inflationBezier) };
+        }
+        return inflationBezierCache.curve;
+    }
+
+    return EasingFunctions[settings.inflationCurve] || EasingFunctions.easeOutCubic;
+}
+
+let inflationBezierCache = null; // { key, curve } for the current bezier control points
+
+/**
+ * Get the overshoot wobble: a damped spring released from full inflation
+ * @param {number} time - Seconds since the inflation curve finished
+ * @returns {number|null} Offset from full inflation, or null once the wobble has settled
+ */
+function getOvershootWobble(time) {
+    const settings = InflatableText.settings;
+    const damping = Math.min(Math.max(settings.overshootDamping, 0), 0.99);
+    const frequency = 2 * Math.PI * settings.overshootFrequency;
+    const envelope = settings.overshootAmount * Math.exp(-damping * frequency * time);
+
+    if (envelope < 0.002) return null;
+    return envelope * Math.sin(frequency * Math.sqrt(1 - damping * damping) * time);
+}
+
+/**
+ * Wrap an angle to -PI..PI
+ * @param {number} angle - Angle in radians
+ * @returns {number} Same direction, within half a turn of zero
+ */
+function wrapAngle(angle) {
+    return angle - Math.round(angle / (Math.PI * 2)) * Math.PI * 2;
 }
 
 // ========== UPDATE ALL LETTERS ==========
 function updateLetters(deltaTime) {
     const bounds = InflatableText.canvasBounds;
+    const removedLetters = [];
 
     InflatableText.letterMeshes.forEach(letterObj => {
-        // INFLATION ANIMATION (plays once on spawn)
-        if (letterObj.isInflating) {
-            letterObj.inflation += deltaTime * InflatableText.settings.inflationSpeed;
-
-            if (letterObj.inflation >= 1.0) {
-                letterObj.inflation = 1.0;
-                letterObj.isInflating = false; // Stop inflating
+        // EXIT ANIMATION (dying letters skip inflation and physics)
+        if (letterObj.isDying) {
+            if (ExitAnimations.update(letterObj, deltaTime)) {
+                disposeLetter(letterObj);
+                removedLetters.push(letterObj);
             }
+            return;
+        }
 
-            // Ease-out cubic
-            const easedInflation = 1 - Math.pow(1 - letterObj.inflation, 3);
-
-            // Animate bevel from 0 to target values
-            letterObj.currentBevelThickness = easedInflation * InflatableText.settings.targetBevelThickness;
-            letterObj.currentBevelSize = easedInflation * InflatableText.settings.targetBevelSize;
+        // INFLATION ANIMATION (plays once on spawn)
+        if (letterObj.isInflating) {
+            updateLetterInflation(letterObj, deltaTime);
+        }
 
-            // Rebuild geometry
-            const oldGeometry = letterObj.mesh.geometry;
-            letterObj.mesh.geometry = createLetterGeometry(
-                letterObj.char,
-                letterObj.currentBevelThickness,
-                letterObj.currentBevelSize
-            );
-            oldGeometry.dispose();
+        // GLIDE to a new slot after a text edit (physics resumes on arrival)
+        if (letterObj.glideTarget) {
+            updateLetterGlide(letterObj, deltaTime);
+            return;
         }
 
         // PHYSICS (gravity and boundary collision)
         // Skip physics for static letters (e.g., current clock digits)
         if (letterObj.isStatic) {
             // Static letters don't move - just update mesh position
-            letterObj.mesh.position.x = letterObj.position.x;
-            letterObj.mesh.position.y = letterObj.position.y;
+            letterObj.mesh.position.set(letterObj.position.x, letterObj.position.y, letterObj.position.z);
             return; // Skip rest of physics
         }
 
-        // Determine gravity and bounciness based on letter type
-        let gravity = InflatableText.settings.gravity;
-        let bounciness = InflatableText.settings.bounciness;
+        // Determine gravity and bounciness based on letter type (each text block has its own)
+        let gravity = letterObj.settings.gravity;
+        let bounciness = letterObj.settings.bounciness;
 
         // Flying clock digits use special settings with gravity sway
         if (letterObj.isFlyingDigit && window.ClockMode && window.ClockMode.isActive && window.ClockMode.isActive() && window.ClockMode.oldDigitSettings) {
@@ -862,26 +1265,43 @@ function updateLetters(deltaTime) {
 
                 // Destroy when fully shrunk
                 if (currentScale <= settings.scaleEnd) {
-                    InflatableText.scene.remove(letterObj.mesh);
-                    letterObj.mesh.geometry.dispose();
-                    letterObj.mesh.material.dispose();
-                    const index = InflatableText.letterMeshes.indexOf(letterObj);
-                    if (index > -1) {
-                        InflatableText.letterMeshes.splice(index, 1);
-                    }
+                    disposeLetter(letterObj);
+                    removedLetters.push(letterObj);
                     return; // Skip rest of physics for destroyed letter
                 }
             }
         }
 
-        // Apply gravity
-        letterObj.velocity.y -= gravity * deltaTime * 60;
+        // Accumulate forces as accelerations (world units per frame², like gravity)
+        const acceleration = { x: 0, y: 0, z: 0 };
+        if (letterObj.isFlyingDigit || !BALLOON_FILLS[letterObj.settings.balloonFill]) {
+            acceleration.y -= gravity;
+        } else {
+            Buoyancy.addLift(letterObj, acceleration);
+        }
+        Buoyancy.addDrag(letterObj, acceleration, deltaTime);
+        PointerInteraction.addForces(letterObj, acceleration, deltaTime);
+        ForceFields.addForces(letterObj, acceleration);
+
+        letterObj.velocity.x += acceleration.x * deltaTime * 60;
+        letterObj.velocity.y += acceleration.y * deltaTime * 60;
+        letterObj.velocity.z += acceleration.z * deltaTime * 60;
 
         // Update position
         letterObj.position.x += letterObj.velocity.x * deltaTime * 60;
         letterObj.position.y += letterObj.velocity.y * deltaTime * 60;
+        letterObj.position.z += letterObj.velocity.z * deltaTime * 60;
+
+        // Rotation: turn back upright, lose some spin, then turn
+        const tilt = wrapAngle(letterObj.rotation - letterObj.restRotation);
+        letterObj.angularVelocity -= Math.sin(tilt) * letterObj.settings.uprightStrength * deltaTime * 60;
+        letterObj.angularVelocity *= Math.pow(1 - letterObj.settings.angularDamping, deltaTime * 60);
+        letterObj.rotation += letterObj.angularVelocity * deltaTime * 60;
+
+        // Boundary collision with bounce (an off-centre wall hit spins the letter)
+        const velocityBeforeX = letterObj.velocity.x;
+        const velocityBeforeY = letterObj.velocity.y;
 
-        // Boundary collision with bounce
         if (letterObj.position.x < bounds.minX) {
             letterObj.position.x = bounds.minX;
             letterObj.velocity.x = Math.abs(letterObj.velocity.x) * bounciness;
@@ -898,70 +1318,36 @@ function updateLetters(deltaTime) {
             letterObj.velocity.y = -Math.abs(letterObj.velocity.y) * bounciness;
         }
 
-        // Update mesh position
-        letterObj.mesh.position.x = letterObj.position.x;
-        letterObj.mesh.position.y = letterObj.position.y;
-    });
+        // Back and front walls (flat-on hits don't spin the letter)
+        if (letterObj.position.z < bounds.minZ) {
+            letterObj.position.z = bounds.minZ;
+            letterObj.velocity.z = Math.abs(letterObj.velocity.z) * bounciness;
+        } else if (letterObj.position.z > bounds.maxZ) {
+            letterObj.position.z = bounds.maxZ;
+            letterObj.velocity.z = -Math.abs(letterObj.velocity.z) * bounciness;
+        }
 
-    // Letter-to-letter collision detection
-    for (let i = 0; i < InflatableText.letterMeshes.length; i++) {
-        for (let j = i + 1; j < InflatableText.letterMeshes.length; j++) {
-            const letterA = InflatableText.letterMeshes[i];
-            const letterB = InflatableText.letterMeshes[j];
-
-            // Skip collision if either letter is static (clock digits)
-            if (letterA.isStatic || letterB.isStatic) continue;
-
-            // Calculate distance between letters
-            const dx = letterB.position.x - letterA.position.x;
-            const dy = letterB.position.y - letterA.position.y;
-            const distance = Math.sqrt(dx * dx + dy * dy);
-
-            // Collision radius based on font size and collider size setting
-            const collisionRadius = InflatableText.settings.fontSize * InflatableText.settings.colliderSize;
-            const minDistance = collisionRadius * 2;
-
-            // Check for collision
-            if (distance < minDistance && distance > 0) {
-                // Calculate collision normal
-                const nx = dx / distance;
-                const ny = dy / distance;
-
-                // Separate overlapping letters
-                const overlap = minDistance - distance;
-                const separationX = nx * overlap * 0.5;
-                const separationY = ny * overlap * 0.5;
-
-                letterA.position.x -= separationX;
-                letterA.position.y -= separationY;
-                letterB.position.x += separationX;
-                letterB.position.y += separationY;
-
-                // Calculate relative velocity
-                const dvx = letterB.velocity.x - letterA.velocity.x;
-                const dvy = letterB.velocity.y - letterA.velocity.y;
-                const relativeVelocity = dvx * nx + dvy * ny;
-
-                // Only resolve if letters are moving towards each other
-                if (relativeVelocity < 0) {
-                    // Determine collision strength
-                    let collisionStrength = InflatableText.settings.bounciness;
-
-                    // If both are flying digits, use special collision strength
-                    if (letterA.isFlyingDigit && letterB.isFlyingDigit && window.ClockMode && window.ClockMode.isActive && window.ClockMode.isActive() && window.ClockMode.oldDigitSettings) {
-                        collisionStrength = window.ClockMode.oldDigitSettings.collisionStrength;
-                    }
-
-                    // Apply collision response with strength
-                    const impulse = relativeVelocity * collisionStrength;
-                    letterA.velocity.x -= impulse * nx;
-                    letterA.velocity.y -= impulse * ny;
-                    letterB.velocity.x += impulse * nx;
-                    letterB.velocity.y += impulse * ny;
-                }
-            }
+        const wallImpulseX = letterObj.velocity.x - velocityBeforeX;
+        const wallImpulseY = letterObj.velocity.y - velocityBeforeY;
+        if (wallImpulseX !== 0 || wallImpulseY !== 0) {
+            Collisions.applyWallHit(letterObj, wallImpulseX, wallImpulseY);
         }
+
+        // Update mesh position and rotation
+        letterObj.mesh.position.set(letterObj.position.x, letterObj.position.y, letterObj.position.z);
+        letterObj.mesh.rotation.z = letterObj.rotation;
+    });
+
+    // Drop letters that finished their exit animation (or shrank away)
+    if (removedLetters.length > 0) {
+        InflatableText.letterMeshes = InflatableText.letterMeshes.filter(letterObj => !removedLetters.includes(letterObj));
     }
+
+    // Letter-to-letter collisions (spatial hash broadphase, see collisions.js)
+    Collisions.resolveLetterCollisions(InflatableText.letterMeshes);
+
+    // Balloon strings pull on the letters they're tied to
+    BalloonStrings.update(deltaTime);
 }
 
 // ========== ANIMATION LOOP ==========
@@ -985,9 +1371,18 @@ function animate() {
     // Update typing animation (spawns letters in sequence)
     updateTypingAnimation(deltaTime);
 
+    // Advance force field keyframes and gusts
+    ForceFields.update(deltaTime);
+
     // Update all letter animations
     updateLetters(deltaTime);
 
+    // Build a pre-warmed letter geometry, if any are queued
+    GeometryCache.update();
+
+    // Move letters to the detail level their screen size and the frame time call for
+    LevelOfDetail.update(deltaTime);
+
     // Render scene
     InflatableText.renderer.render(InflatableText.scene, InflatableText.camera);
 }
@@ -1014,6 +1409,9 @@ window.renderHighResolution = function(targetCanvas, scale) {
     InflatableText.camera.aspect = newWidth / newHeight;
     InflatableText.camera.updateProjectionMatrix();
 
+    // Exports always use full detail geometry
+    LevelOfDetail.setFullDetail(true);
+
     // Render high-res frame
     InflatableText.renderer.render(InflatableText.scene, InflatableText.camera);
 
@@ -1029,6 +1427,9 @@ window.renderHighResolution = function(targetCanvas, scale) {
 
     ctx.drawImage(InflatableText.renderer.domElement, 0, 0);
 
+    // Back to adaptive detail (letters return to their levels over the next frames)
+    LevelOfDetail.setFullDetail(false);
+
     // Restore original size
     InflatableText.renderer.setSize(originalWidth, originalHeight, false);
     InflatableText.camera.aspect = originalWidth / originalHeight;
@@ -19,19 +19,22 @@ const MATERIAL_PRESETS = {
         opacity: 0.68,  // More transparent
         envMapIntensity: 1.0,
         transmission: 0.35,  // Increased transparency
-        useBackgroundEnv: true
+        useBackgroundEnv: true,
+        envelopeDensity: 0.012 // Envelope mass per area (kg/m², see buoyancy.js)
     },
     'helium-foil': {
         name: 'Helium Foil',
         description: 'Reflective foil balloon with matcap shading',
         type: 'matcap',
-        matcapPath: 'assets/foil-matcap.jpg'
+        matcapPath: 'assets/foil-matcap.jpg',
+        envelopeDensity: 0.05 // Metallised nylon is heavier than stretched latex
     },
     'custom-matcap': {
         name: 'Custom Matcap',
         description: 'Upload your own matcap texture',
         type: 'matcap',
-        useCustomTexture: true
+        useCustomTexture: true,
+        envelopeDensity: 0.05
     }
 };
 
@@ -41,9 +44,10 @@ const Materials = {
      * Create a balloon material with specified color and material preset
      * @param {number} colorIndex - Index for color palette cycling
      * @param {string} materialType - Material preset key (default: from settings)
+     * @param {Array<string>} palette - Colors to cycle through (default: from settings)
      * @returns {THREE.MeshPhysicalMaterial|THREE.MeshMatcapMaterial} Material instance
      */
-    createBalloonMaterial: function(colorIndex, materialType = null) {
+    createBalloonMaterial: function(colorIndex, materialType = null, palette = null) {
         // Use provided material type or fall back to current setting
         const presetKey = materialType || InflatableText.settings.selectedMaterial;
         const preset = MATERIAL_PRESETS[presetKey];
@@ -54,8 +58,8 @@ const Materials = {
         }
 
         // Get color from palette, cycling through if index exceeds palette length
-        const palette = InflatableText.settings.letterColors;
-        const colorHex = palette[colorIndex % palette.length];
+        const colors = palette || InflatableText.settings.letterColors;
+        const colorHex = colors[colorIndex % colors.length];
         const color = new THREE.Color(colorHex);
 
         // Check if this is a matcap material
@@ -122,7 +126,74 @@ const Materials = {
     },
 
     /**
-     * Apply current material preset to all existing letters
+     * Create the material for a letter from its text block settings and rich text style
+     * @param {Object} letterObj - Letter object (colorIndex, settings, style)
+     * @returns {THREE.MeshPhysicalMaterial|THREE.MeshMatcapMaterial} Material instance
+     */
+    createLetterMaterial: function(letterObj) {
+        const settings = letterObj.settings;
+        const style = letterObj.style;
+        const materialType = (style && style.material) || settings.selectedMaterial;
+        const material = Materials.createBalloonMaterial(letterObj.colorIndex, materialType, settings.letterColors);
+
+        // Inline [color=] markup overrides the palette
+        if (style && style.color) {
+            material.color.set(style.color);
+        }
+
+        // Inflate on the GPU from the letter's inflation uniform
+        Materials.enableInflation(material, letterObj.inflationUniform);
+
+        return material;
+    },
+
+    /**
+     * Make a material inflate letters in its vertex shader
+     * Letter geometry carries its flat shape in flatPosition/flatNormal attributes and its
+     * fully inflated shape in position/normal; the shader blends them by the inflation uniform
+     * (0 = flat, 1 = fully inflated). Works with any built-in material that uses the standard
+     * begin_vertex and beginnormal_vertex chunks (physical, matcap, depth)
+     * @param {THREE.Material} material - Material to patch
+     * @param {Object} inflationUniform - Shared { value } uniform driven by the letter's animation
+     * @returns {THREE.Material} The same material
+     */
+    enableInflation: function(material, inflationUniform) {
+        material.onBeforeCompile = function(shader) {
+            shader.uniforms.inflation = inflationUniform;
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', [
+                    '#include <common>',
+                    'attribute vec3 flatPosition;',
+                    'attribute vec3 flatNormal;',
+                    'uniform float inflation;'
+                ].join('\n'))
+                .replace('#include <beginnormal_vertex>', [
+                    '#include <beginnormal_vertex>',
+                    'objectNormal = normalize( mix( flatNormal, objectNormal, inflation ) );'
+                ].join('\n'))
+                .replace('#include <begin_vertex>', [
+                    '#include <begin_vertex>',
+                    'transformed = mix( flatPosition, transformed, inflation );'
+                ].join('\n'));
+        };
+
+        return material;
+    },
+
+    /**
+     * Create the depth material a letter casts shadows with, so its shadow inflates too
+     * @param {Object} inflationUniform - The letter's inflation uniform
+     * @returns {THREE.MeshDepthMaterial} Depth material for mesh.customDepthMaterial
+     */
+    createInflationDepthMaterial: function(inflationUniform) {
+        const material = new THREE.MeshDepthMaterial({ depthPacking: THREE.RGBADepthPacking });
+        return Materials.enableInflation(material, inflationUniform);
+    },
+
+    /**
+     * Apply current material presets to all existing letters
+     * Each letter uses its text block's preset and palette (clock digits use the global settings)
+     * unless its rich text style overrides them
      * Updates materials in-place and disposes old materials
      */
     applyMaterialToAllLetters: function() {
@@ -131,12 +202,11 @@ const Materials = {
             return;
         }
 
-        const materialType = InflatableText.settings.selectedMaterial;
-        console.log(`🎨 Applying "${MATERIAL_PRESETS[materialType].name}" material to ${InflatableText.letterMeshes.length} letters`);
+        console.log(`🎨 Applying materials to ${InflatableText.letterMeshes.length} letters`);
 
-        InflatableText.letterMeshes.forEach((letterObj, index) => {
+        InflatableText.letterMeshes.forEach(letterObj => {
             // Create new material with same color index
-            const newMaterial = Materials.createBalloonMaterial(index, materialType);
+            const newMaterial = Materials.createLetterMaterial(letterObj);
 
             // Dispose old material to free memory
             if (letterObj.mesh.material) {
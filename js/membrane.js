@@ -0,0 +1,370 @@
+/*
+ * Membrane Module - Pressure Inflation for Sewn Foil Balloons
+ * Author: Studio Video
+ *
+ * Alternative to the bevel model: the glyph outline is a sewn seam and the
+ * front and back faces are membranes pushed apart by internal pressure.
+ * The outline is triangulated and refined, the membrane height is solved
+ * from the pressure equation (div(tension * grad(h)) = -pressure, h = 0 on
+ * the seam) on a grid, and the faces are lifted by it, so wide parts bulge
+ * most and the edges pinch into the seam. The tension grows as the membrane
+ * stretches, by an amount set by its stiffness: a soft membrane keeps
+ * bulging as the pressure rises, a stiff one levels off into a flatter
+ * pillow. The vertex shader inflation (see Materials.enableInflation())
+ * blends from the flat shape to the solved one at full pressure.
+ */
+
+const MEMBRANE_CURVE_SEGMENTS = 16; // Seam smoothness cap - finer outlines only add slivers to refine
+const MEMBRANE_GRID_RESOLUTION = 48; // Solver cells across the glyph's longer side
+const MEMBRANE_SOLVER_ITERATIONS = 400;
+const MEMBRANE_TENSION_UPDATES = 8; // Times the stretch-dependent tension is recomputed during the solve
+const MEMBRANE_EDGE_LENGTH = 0.05; // Longest face triangle edge, as a fraction of the font size
+const MEMBRANE_PRESSURE_SCALE = 30; // Pressure term per unit of the pressure setting, for a font-size-1 glyph
+const MEMBRANE_STRETCH_TENSION = 1; // Extra tension per unit stiffness per squared slope (1 = the unstretched tension)
+const MEMBRANE_SEAM_THICKNESS = 0.02; // Crimped seam rim, as a fraction of the font size
+
+// ========== MEMBRANE NAMESPACE ==========
+const Membrane = {
+    /**
+     * Build inflatable geometry for a character with the pressure model
+     * position/normal hold the fully inflated shape, flatPosition/flatNormal the deflated one
+     * @param {string} char - Character
+     * @param {number} fontSize - Font size in world units
+     * @param {Object} segments - Tessellation from LevelOfDetail.getSegments()
+     * @returns {THREE.BufferGeometry} Geometry centered on the glyph's outline
+     */
+    createGeometry: function(char, fontSize, segments) {
+        const settings = InflatableText.settings;
+        const resolved = FontChain.getGlyph(char);
+        const shapes = resolved.font.generateShapes(resolved.char, fontSize * resolved.sizeScale);
+
+        // Lower detail levels use longer edges (face vertex count scales with the level's fraction)
+        const curveSegments = Math.min(segments.curveSegments, MEMBRANE_CURVE_SEGMENTS);
+        const mesh = Membrane.triangulate(shapes, fontSize * MEMBRANE_EDGE_LENGTH / Math.sqrt(segments.detail), curveSegments);
+        const heights = Membrane.solveHeights(mesh, fontSize, settings.membranePressure, settings.membraneStiffness).map(h => h * fontSize);
+
+        return Membrane.buildGeometry(mesh, heights, fontSize * MEMBRANE_SEAM_THICKNESS / 2);
+    },
+
+    /**
+     * Triangulate glyph shapes and refine them so the faces have interior vertices to bulge
+     * @param {Array<THREE.Shape>} shapes - Glyph shapes
+     * @param {number} maxEdgeLength - Split triangle edges longer than this
+     * @param {number} curveSegments - Points per outline curve
+     * @returns {Object} { vertices: [Vector2], triangles: [[a, b, c]] (counter-clockwise),
+     *                     contours: [[Vector2]] (closed outlines), isSeam: [bool] per vertex }
+     */
+    triangulate: function(shapes, maxEdgeLength, curveSegments) {
+        const vertices = [];
+        const isSeam = [];
+        const contours = [];
+        let triangles = [];
+
+        shapes.forEach(shape => {
+            const points = shape.extractPoints(curveSegments);
+            let outline = points.shape;
+            const holes = points.holes;
+
+            // Outer outline counter-clockwise, holes clockwise (as ExtrudeGeometry expects)
+            if (THREE.ShapeUtils.isClockWise(outline)) outline = outline.slice().reverse();
+            holes.forEach((hole, holeIndex) => {
+                if (!THREE.ShapeUtils.isClockWise(hole)) holes[holeIndex] = hole.slice().reverse();
+            });
+
+            const offset = vertices.length;
+            const faces = THREE.ShapeUtils.triangulateShape(outline, holes);
+            [outline, ...holes].forEach(contour => {
+                contours.push(contour);
+                contour.forEach(point => {
+                    vertices.push(point.clone());
+                    isSeam.push(true);
+                });
+            });
+            faces.forEach(face => triangles.push([face[0] + offset, face[1] + offset, face[2] + offset]));
+        });
+
+        // Refine by longest-edge bisection, tracking which triangles use each edge
+        const edgeKey = (a, b) => (a < b ? `${a}_${b}` : `${b}_${a}`);
+        const edgeTriangles = new Map();
+        const link = (triangleIndex) => {
+            const triangle = triangles[triangleIndex];
+            for (let i = 0; i < 3; i++) {
+                const key = edgeKey(triangle[i], triangle[(i + 1) % 3]);
+                if (!edgeTriangles.has(key)) edgeTriangles.set(key, new Set());
+                edgeTriangles.get(key).add(triangleIndex);
+            }
+        };
+        const unlink = (triangleIndex) => {
+            const triangle = triangles[triangleIndex];
+            for (let i = 0; i < 3; i++) {
+                edgeTriangles.get(edgeKey(triangle[i], triangle[(i + 1) % 3])).delete(triangleIndex);
+            }
+        };
+        triangles.forEach((triangle, index) => link(index));
+
+        // Longest edge of a triangle as [a, b] (ties broken by key so every triangle agrees)
+        const longestEdge = (triangle) => {
+            let best = null;
+            let bestLength = -1;
+            for (let i = 0; i < 3; i++) {
+                const a = triangle[i];
+                const b = triangle[(i + 1) % 3];
+                const length = vertices[a].distanceTo(vertices[b]);
+                if (length > bestLength + 1e-9 || (Math.abs(length - bestLength) <= 1e-9 && edgeKey(a, b) < edgeKey(best[0], best[1]))) {
+                    best = [a, b];
+                    bestLength = length;
+                }
+            }
+            return { a: best[0], b: best[1], length: bestLength };
+        };
+
+        // Split an edge at its midpoint in every triangle that shares it
+        const stack = [];
+        const splitEdge = (a, b) => {
+            const sharing = Array.from(edgeTriangles.get(edgeKey(a, b)));
+            const midpoint = vertices.length;
+            vertices.push(vertices[a].clone().add(vertices[b]).multiplyScalar(0.5));
+            isSeam.push(sharing.length === 1); // Midpoint of an outline edge stays on the seam
+
+            sharing.forEach(sharedIndex => {
+                const shared = triangles[sharedIndex];
+                unlink(sharedIndex);
+                triangles[sharedIndex] = null;
+
+                // Rotate so the split edge comes first, keeping the winding
+                const start = shared.findIndex((vertex, i) => {
+                    const next = shared[(i + 1) % 3];
+                    return (vertex === a && next === b) || (vertex === b && next === a);
+                });
+                const p = shared[start];
+                const q = shared[(start + 1) % 3];
+                const r = shared[(start + 2) % 3];
+
+                [[p, midpoint, r], [midpoint, q, r]].forEach(half => {
+                    triangles.push(half);
+                    link(triangles.length - 1);
+                    stack.push(triangles.length - 1);
+                });
+            });
+        };
+
+        // Rivara longest-edge bisection: follow the chain of neighbours across longest edges
+        // until two triangles share their longest edge (or it's on the outline), then split it.
+        // Only ever splitting longest edges keeps the triangles from degenerating into slivers
+        triangles.forEach((triangle, index) => stack.push(index));
+        while (stack.length > 0) {
+            const triangleIndex = stack.pop();
+
+            while (triangles[triangleIndex] && longestEdge(triangles[triangleIndex]).length > maxEdgeLength) {
+                let edge = longestEdge(triangles[triangleIndex]);
+                let current = triangleIndex;
+                for (;;) {
+                    const key = edgeKey(edge.a, edge.b);
+                    const neighbour = Array.from(edgeTriangles.get(key)).find(index => index !== current);
+                    if (neighbour === undefined) break;
+
+                    const neighbourEdge = longestEdge(triangles[neighbour]);
+                    if (edgeKey(neighbourEdge.a, neighbourEdge.b) === key) break;
+
+                    current = neighbour;
+                    edge = neighbourEdge;
+                }
+                splitEdge(edge.a, edge.b);
+            }
+        }
+
+        triangles = triangles.filter(triangle => triangle !== null);
+        return { vertices: vertices, triangles: triangles, contours: contours, isSeam: isSeam };
+    },
+
+    /**
+     * Solve the membrane's height under pressure
+     * Nonlinear successive over-relaxation on a grid over the glyph (cells outside the seam are pinned at 0):
+     * each pair of neighbouring cells is joined by a tension of 1 + stiffness * stretch * slope², taken from
+     * the current heights. The grid is then sampled at each vertex; seam vertices are exactly 0
+     * @param {Object} mesh - Result of triangulate()
+     * @param {number} fontSize - Font size in world units (heights are in font-size units)
+     * @param {number} pressure - Pressure setting
+     * @param {number} stiffness - Stiffness setting
+     * @returns {Array<number>} Height per vertex, for a font-size-1 glyph
+     */
+    solveHeights: function(mesh, fontSize, pressure, stiffness) {
+        const box = new THREE.Box2().setFromPoints(mesh.vertices);
+        const size = box.getSize(new THREE.Vector2());
+        const cellSize = Math.max(size.x, size.y) / MEMBRANE_GRID_RESOLUTION || 1;
+        const columns = Math.ceil(size.x / cellSize) + 2;
+        const rows = Math.ceil(size.y / cellSize) + 2;
+        const originX = box.min.x - cellSize;
+        const originY = box.min.y - cellSize;
+
+        // Cells whose center is inside the outline (even-odd over every contour handles holes)
+        const inside = new Uint8Array(columns * rows);
+        for (let row = 0; row < rows; row++) {
+            for (let column = 0; column < columns; column++) {
+                const point = new THREE.Vector2(originX + (column + 0.5) * cellSize, originY + (row + 0.5) * cellSize);
+                inside[row * columns + column] = Membrane.isInside(point, mesh.contours) ? 1 : 0;
+            }
+        }
+
+        // In font-size-1 units: each cell relaxes toward its neighbours' tension-weighted mean plus the pressure term.
+        // Tensions are frozen between updates, so every pass is a linear solve that over-relaxation can't blow up
+        const heights = new Float32Array(columns * rows);
+        const tensionRight = new Float32Array(columns * rows).fill(1); // Between a cell and the one to its right
+        const tensionUp = new Float32Array(columns * rows).fill(1); // Between a cell and the one above it
+        const cell = cellSize / fontSize;
+        const source = MEMBRANE_PRESSURE_SCALE * pressure * cell * cell;
+        const stretch = MEMBRANE_STRETCH_TENSION * stiffness / (cell * cell); // Tension per squared height step
+        const relaxation = 1.9;
+        const iterationsPerUpdate = MEMBRANE_SOLVER_ITERATIONS / MEMBRANE_TENSION_UPDATES;
+
+        for (let update = 0; update < MEMBRANE_TENSION_UPDATES; update++) {
+            if (update > 0) {
+                // Stretched edges pull harder; blend with the old tension so the updates settle instead of ringing
+                for (let index = 0; index < columns * rows - columns; index++) {
+                    const right = heights[index + 1] - heights[index];
+                    const up = heights[index + columns] - heights[index];
+                    tensionRight[index] = (tensionRight[index] + 1 + stretch * right * right) / 2;
+                    tensionUp[index] = (tensionUp[index] + 1 + stretch * up * up) / 2;
+                }
+            }
+
+            for (let iteration = 0; iteration < iterationsPerUpdate; iteration++) {
+                for (let row = 1; row < rows - 1; row++) {
+                    for (let column = 1; column < columns - 1; column++) {
+                        const index = row * columns + column;
+                        if (!inside[index]) continue;
+
+                        const left = tensionRight[index - 1];
+                        const right = tensionRight[index];
+                        const down = tensionUp[index - columns];
+                        const up = tensionUp[index];
+                        const weighted = left * heights[index - 1] + right * heights[index + 1] +
+                            down * heights[index - columns] + up * heights[index + columns];
+                        const target = (weighted + source) / (left + right + down + up);
+                        heights[index] += relaxation * (target - heights[index]);
+                    }
+                }
+            }
+        }
+
+        // Bilinear sample between cell centers
+        const sample = (point) => {
+            const x = THREE.MathUtils.clamp((point.x - originX) / cellSize - 0.5, 0, columns - 1.001);
+            const y = THREE.MathUtils.clamp((point.y - originY) / cellSize - 0.5, 0, rows - 1.001);
+            const column = Math.floor(x);
+            const row = Math.floor(y);
+            const fx = x - column;
+            const fy = y - row;
+            const at = (c, r) => heights[r * columns + c];
+            return (at(column, row) * (1 - fx) + at(column + 1, row) * fx) * (1 - fy) +
+                (at(column, row + 1) * (1 - fx) + at(column + 1, row + 1) * fx) * fy;
+        };
+
+        return mesh.vertices.map((vertex, index) => (mesh.isSeam[index] ? 0 : sample(vertex)));
+    },
+
+    /**
+     * Even-odd point-in-polygon test against a set of closed contours
+     * @param {THREE.Vector2} point - Point to test
+     * @param {Array<Array<THREE.Vector2>>} contours - Closed outlines
+     * @returns {boolean} True if the point is inside the filled glyph
+     */
+    isInside: function(point, contours) {
+        let inside = false;
+        contours.forEach(contour => {
+            for (let i = 0, j = contour.length - 1; i < contour.length; j = i++) {
+                const a = contour[i];
+                const b = contour[j];
+                if ((a.y > point.y) !== (b.y > point.y) &&
+                    point.x < (b.x - a.x) * (point.y - a.y) / (b.y - a.y) + a.x) {
+                    inside = !inside;
+                }
+            }
+        });
+        return inside;
+    },
+
+    /**
+     * Build the balloon: front and back faces lifted by the heights, joined by a thin seam rim
+     * @param {Object} mesh - Result of triangulate()
+     * @param {Array<number>} heights - Inflated height per vertex in world units
+     * @param {number} seamHalfThickness - Half the rim's thickness in world units
+     * @returns {THREE.BufferGeometry} Geometry with inflated and flat attributes
+     */
+    buildGeometry: function(mesh, heights, seamHalfThickness) {
+        const vertexCount = mesh.vertices.length;
+        const inflated = [];
+        const flat = [];
+        const indices = [];
+
+        // Front face (+z) then back face (-z)
+        [1, -1].forEach(side => {
+            mesh.vertices.forEach((vertex, index) => {
+                inflated.push(vertex.x, vertex.y, side * (seamHalfThickness + heights[index]));
+                flat.push(vertex.x, vertex.y, side * seamHalfThickness);
+            });
+        });
+        mesh.triangles.forEach(([a, b, c]) => {
+            indices.push(a, b, c);
+            indices.push(vertexCount + c, vertexCount + b, vertexCount + a);
+        });
+
+        // Seam rim along outline edges (edges used by one triangle), facing outward
+        const edgeCounts = new Map();
+        mesh.triangles.forEach(triangle => {
+            for (let i = 0; i < 3; i++) {
+                const a = triangle[i];
+                const b = triangle[(i + 1) % 3];
+                const key = a < b ? `${a}_${b}` : `${b}_${a}`;
+                edgeCounts.set(key, (edgeCounts.get(key) || 0) + 1);
+            }
+        });
+        mesh.triangles.forEach(triangle => {
+            for (let i = 0; i < 3; i++) {
+                const a = triangle[i];
+                const b = triangle[(i + 1) % 3];
+                if (edgeCounts.get(a < b ? `${a}_${b}` : `${b}_${a}`) !== 1) continue;
+
+                const first = inflated.length / 3;
+                const pointA = mesh.vertices[a];
+                const pointB = mesh.vertices[b];
+                [[pointA, 1], [pointB, 1], [pointB, -1], [pointA, -1]].forEach(([point, side]) => {
+                    inflated.push(point.x, point.y, side * seamHalfThickness);
+                    flat.push(point.x, point.y, side * seamHalfThickness);
+                });
+                indices.push(first + 3, first + 2, first + 1, first + 3, first + 1, first);
+            }
+        });
+
+        // Normals for each shape, computed on its own positions
+        const computeNormals = (positions) => {
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+            geometry.setIndex(indices);
+            geometry.computeVertexNormals();
+            return geometry.getAttribute('normal');
+        };
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.Float32BufferAttribute(inflated, 3));
+        geometry.setAttribute('normal', computeNormals(inflated));
+        geometry.setAttribute('flatPosition', new THREE.Float32BufferAttribute(flat, 3));
+        geometry.setAttribute('flatNormal', computeNormals(flat));
+        geometry.setIndex(indices);
+
+        // Center on the outline like TextGeometry.center() does
+        const box = new THREE.Box2().setFromPoints(mesh.vertices);
+        const center = box.getCenter(new THREE.Vector2());
+        geometry.translate(-center.x, -center.y, 0);
+        const flatPosition = geometry.getAttribute('flatPosition');
+        for (let i = 0; i < flatPosition.count; i++) {
+            flatPosition.setXY(i, flatPosition.getX(i) - center.x, flatPosition.getY(i) - center.y);
+        }
+
+        geometry.computeBoundingBox();
+        return geometry;
+    }
+};
+
+// Make Membrane globally available
+window.Membrane = Membrane;
@@ -0,0 +1,267 @@
+/*
+ * Pointer Interaction Module - Grab, Fling and Poke Letters
+ * Author: Studio Video
+ *
+ * Pointer events (mouse, pen and touch) pick letters with a raycast. Pressing
+ * on a letter grabs it by that point with a damped spring, so it trails the
+ * pointer and swings around the grab point; letting go flings it with the
+ * pointer's recent velocity, and a quick tap pokes it away instead. Letters
+ * near the pointer ray can also be pushed aside by a repulsion radius.
+ * OrbitControls is switched off while a letter is held.
+ */
+
+const GRAB_DAMPING_RATIO = 0.7; // Spring damping relative to critical damping
+const FLING_SAMPLE_TIME = 100; // Milliseconds of pointer movement used for the release velocity
+const FLING_MAX_SPEED = 3; // World units per frame
+const TAP_MAX_TIME = 250; // Milliseconds a press can last and still count as a tap
+const TAP_MAX_DISTANCE = 6; // Pixels a press can move and still count as a tap
+
+// ========== POINTER INTERACTION NAMESPACE ==========
+const PointerInteraction = {
+    raycaster: null,
+    hoverRay: null, // Ray under the pointer while it's over the canvas (drives repulsion)
+    grab: null, // { letterObj, pointerId, localX, localY, localZ, plane, target, history, startTime, startX, startY }
+    scratchPoint: null, // Reused vectors for repulsion
+    scratchClosest: null,
+
+    /**
+     * Listen for pointer events on the canvas
+     * @param {HTMLCanvasElement} canvas - Canvas the scene renders into
+     */
+    setup: function(canvas) {
+        PointerInteraction.raycaster = new THREE.Raycaster();
+        PointerInteraction.scratchPoint = new THREE.Vector3();
+        PointerInteraction.scratchClosest = new THREE.Vector3();
+        canvas.style.touchAction = 'none'; // Touch drags move letters, not the page
+
+        // Capture so a press on a letter switches OrbitControls off before its own pointerdown runs
+        canvas.addEventListener('pointerdown', PointerInteraction.onPointerDown, { capture: true });
+        canvas.addEventListener('pointermove', PointerInteraction.onPointerMove);
+        canvas.addEventListener('pointerup', PointerInteraction.onPointerUp);
+        canvas.addEventListener('pointercancel', PointerInteraction.onPointerUp);
+        canvas.addEventListener('pointerleave', () => {
+            PointerInteraction.hoverRay = null;
+        });
+    },
+
+    /**
+     * Aim the raycaster through the pointer
+     * @param {PointerEvent} event - Pointer event on the canvas
+     */
+    aimAt: function(event) {
+        const rect = InflatableText.canvas.getBoundingClientRect();
+        const pointer = new THREE.Vector2(
+            ((event.clientX - rect.left) / rect.width) * 2 - 1,
+            -((event.clientY - rect.top) / rect.height) * 2 + 1
+        );
+        PointerInteraction.raycaster.setFromCamera(pointer, InflatableText.camera);
+    },
+
+    /**
+     * Find the letter under the pointer (the raycaster must be aimed)
+     * @returns {Object|null} { letterObj, point } for the nearest letter hit, or null
+     */
+    pickLetter: function() {
+        const pickable = InflatableText.letterMeshes.filter(letterObj => letterObj.mesh && !letterObj.isDying && !letterObj.isStatic);
+        const hits = PointerInteraction.raycaster.intersectObjects(pickable.map(letterObj => letterObj.mesh));
+        if (hits.length === 0) return null;
+
+        return {
+            letterObj: pickable.find(letterObj => letterObj.mesh === hits[0].object),
+            point: hits[0].point
+        };
+    },
+
+    /**
+     * Grab the letter under the pointer
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerDown: function(event) {
+        if (!InflatableText.settings.pointerEnabled || PointerInteraction.grab || event.button > 0) return;
+
+        PointerInteraction.aimAt(event);
+        const picked = PointerInteraction.pickLetter();
+        if (!picked) return;
+
+        const letterObj = picked.letterObj;
+        letterObj.glideTarget = null; // Grabbing interrupts a glide to a new slot
+
+        // Remember the grab point in the letter's frame, so the letter swings around it
+        const dx = picked.point.x - letterObj.position.x;
+        const dy = picked.point.y - letterObj.position.y;
+        const cos = Math.cos(letterObj.rotation);
+        const sin = Math.sin(letterObj.rotation);
+
+        // Drag across the plane facing the camera through the grab point
+        const normal = new THREE.Vector3();
+        InflatableText.camera.getWorldDirection(normal);
+
+        PointerInteraction.grab = {
+            letterObj: letterObj,
+            pointerId: event.pointerId,
+            localX: dx * cos + dy * sin,
+            localY: -dx * sin + dy * cos,
+            localZ: picked.point.z - letterObj.position.z,
+            plane: new THREE.Plane().setFromNormalAndCoplanarPoint(normal, picked.point),
+            target: picked.point.clone(),
+            history: [{ time: performance.now(), point: picked.point.clone() }],
+            startTime: performance.now(),
+            startX: event.clientX,
+            startY: event.clientY
+        };
+
+        InflatableText.controls.enabled = false;
+        InflatableText.canvas.setPointerCapture(event.pointerId);
+        event.preventDefault();
+    },
+
+    /**
+     * Move the grab target with the pointer, or track the hover ray for repulsion
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerMove: function(event) {
+        PointerInteraction.aimAt(event);
+        PointerInteraction.hoverRay = PointerInteraction.raycaster.ray.clone();
+
+        const grab = PointerInteraction.grab;
+        if (!grab || event.pointerId !== grab.pointerId) return;
+
+        if (PointerInteraction.raycaster.ray.intersectPlane(grab.plane, grab.target)) {
+            const time = performance.now();
+            grab.history.push({ time: time, point: grab.target.clone() });
+            while (grab.history.length > 2 && time - grab.history[0].time > FLING_SAMPLE_TIME) {
+                grab.history.shift();
+            }
+        }
+    },
+
+    /**
+     * Let go: a quick tap pokes the letter, anything else flings it
+     * @param {PointerEvent} event - Pointer event
+     */
+    onPointerUp: function(event) {
+        const grab = PointerInteraction.grab;
+        if (!grab || event.pointerId !== grab.pointerId) return;
+
+        const settings = InflatableText.settings;
+        const letterObj = grab.letterObj;
+        const duration = performance.now() - grab.startTime;
+        const moved = Math.hypot(event.clientX - grab.startX, event.clientY - grab.startY);
+
+        if (duration < TAP_MAX_TIME && moved < TAP_MAX_DISTANCE) {
+            PointerInteraction.poke(letterObj, grab.target, settings.pokeStrength);
+        } else {
+            // Pointer velocity over the last few samples, in world units per frame
+            const first = grab.history[0];
+            const last = grab.history[grab.history.length - 1];
+            const frames = (performance.now() - first.time) / (1000 / 60);
+            if (frames > 0) {
+                const velocity = last.point.clone().sub(first.point).multiplyScalar(settings.flingStrength / frames);
+                if (velocity.length() > FLING_MAX_SPEED) velocity.setLength(FLING_MAX_SPEED);
+                letterObj.velocity.x = velocity.x;
+                letterObj.velocity.y = velocity.y;
+                letterObj.velocity.z = velocity.z;
+            }
+        }
+
+        PointerInteraction.release();
+    },
+
+    /**
+     * Push a letter away from where it was tapped (into the scene, and away from the tap point)
+     * @param {Object} letterObj - Letter object
+     * @param {THREE.Vector3} point - Tapped point in world units
+     * @param {number} strength - Impulse in world units per frame
+     */
+    poke: function(letterObj, point, strength) {
+        const direction = PointerInteraction.raycaster.ray.direction.clone();
+        const awayX = letterObj.position.x - point.x;
+        const awayY = letterObj.position.y - point.y;
+        const away = Math.hypot(awayX, awayY);
+        if (away > 0) {
+            // Taps near the edge push sideways more than taps on the middle
+            const lean = Math.min(away / (letterObj.fontSize * 0.5), 1);
+            direction.x += awayX / away * lean;
+            direction.y += awayY / away * lean;
+        }
+        direction.normalize().multiplyScalar(strength);
+
+        letterObj.velocity.x += direction.x;
+        letterObj.velocity.y += direction.y;
+        letterObj.velocity.z += direction.z;
+
+        // Off-centre taps spin the letter
+        Collisions.updateCollider(letterObj);
+        Collisions.applyTorque(letterObj, { x: point.x - letterObj.position.x, y: point.y - letterObj.position.y }, direction.x, direction.y);
+    },
+
+    /**
+     * Drop the held letter (only if it's the given one, when a letter is passed)
+     * @param {Object} letterObj - Letter being removed (optional)
+     */
+    release: function(letterObj = null) {
+        const grab = PointerInteraction.grab;
+        if (!grab || (letterObj && grab.letterObj !== letterObj)) return;
+
+        if (InflatableText.canvas.hasPointerCapture(grab.pointerId)) {
+            InflatableText.canvas.releasePointerCapture(grab.pointerId);
+        }
+        PointerInteraction.grab = null;
+        InflatableText.controls.enabled = true;
+    },
+
+    /**
+     * Add the grab spring and cursor repulsion to a letter's acceleration
+     * @param {Object} letterObj - Letter object
+     * @param {Object} acceleration - { x, y, z } in world units per frame², added to in place
+     * @param {number} deltaTime - Frame time in seconds
+     */
+    addForces: function(letterObj, acceleration, deltaTime) {
+        const settings = InflatableText.settings;
+        const grab = PointerInteraction.grab;
+
+        if (grab && grab.letterObj === letterObj) {
+            // Spring from the grab point on the letter to the pointer, damped on the letter's velocity
+            const cos = Math.cos(letterObj.rotation);
+            const sin = Math.sin(letterObj.rotation);
+            const offset = {
+                x: grab.localX * cos - grab.localY * sin,
+                y: grab.localX * sin + grab.localY * cos
+            };
+            const stiffness = settings.grabStiffness;
+            const damping = 2 * Math.sqrt(stiffness) * GRAB_DAMPING_RATIO;
+            const springX = (grab.target.x - letterObj.position.x - offset.x) * stiffness;
+            const springY = (grab.target.y - letterObj.position.y - offset.y) * stiffness;
+            const springZ = (grab.target.z - letterObj.position.z - grab.localZ) * stiffness;
+
+            acceleration.x += springX - letterObj.velocity.x * damping;
+            acceleration.y += springY - letterObj.velocity.y * damping;
+            acceleration.z += springZ - letterObj.velocity.z * damping;
+
+            // Held off-centre, the letter hangs from the grab point
+            Collisions.applyTorque(letterObj, offset, springX * deltaTime * 60, springY * deltaTime * 60);
+            return;
+        }
+
+        // Repulsion: push letters away from the pointer ray, fading out at the radius
+        const ray = PointerInteraction.hoverRay;
+        if (!settings.pointerEnabled || !ray || settings.repelRadius <= 0) return;
+
+        const point = PointerInteraction.scratchPoint.set(letterObj.position.x, letterObj.position.y, letterObj.position.z);
+        const closest = ray.closestPointToPoint(point, PointerInteraction.scratchClosest);
+        const dx = letterObj.position.x - closest.x;
+        const dy = letterObj.position.y - closest.y;
+        const dz = letterObj.position.z - closest.z;
+        const distance = Math.hypot(dx, dy, dz);
+        if (distance === 0 || distance >= settings.repelRadius) return;
+
+        const falloff = 1 - distance / settings.repelRadius;
+        const push = settings.repelStrength * falloff * falloff / distance;
+        acceleration.x += dx * push;
+        acceleration.y += dy * push;
+        acceleration.z += dz * push;
+    }
+};
+
+// Make PointerInteraction globally available
+window.PointerInteraction = PointerInteraction;
@@ -0,0 +1,141 @@
+/*
+ * Rich Text Module - Inline Style Markup
+ * Author: Studio Video
+ *
+ * Parses lightweight tags in the text input and attaches a style to each
+ * character so one word can stand out:
+ *   [color=#ff0]SALE[/color]      - color override (hex or CSS color name)
+ *   [size=2]BIG[/size]            - font size multiplier
+ *   [mat=helium-foil]SHINY[/mat]  - material preset override
+ *   [static]STILL[/static]        - letters ignore physics
+ * Tags can nest; an unclosed tag runs to the end of the text. Tags with an
+ * invalid value are left in the text as typed.
+ */
+
+const RICH_TEXT_TAG_PATTERN = /\[(\/?)(color|size|mat|static)(?:=([^\]]*))?\]/gi;
+
+// ========== RICH TEXT NAMESPACE ==========
+const RichText = {
+    /**
+     * Strip markup tags and collect per-character styles
+     * @param {string} markup - Text with inline tags
+     * @returns {Object} { text, styles } where styles[i] is the style of text[i]
+     *                   ({ color, size, material, isStatic } with only the set keys) or null
+     */
+    parse: function(markup) {
+        const stacks = { color: [], size: [], mat: [], static: [] };
+        let text = '';
+        const styles = [];
+        let currentStyle = null;
+        let lastIndex = 0;
+
+        const appendText = (chunk) => {
+            for (let i = 0; i < chunk.length; i++) {
+                text += chunk[i];
+                styles.push(currentStyle);
+            }
+        };
+
+        RICH_TEXT_TAG_PATTERN.lastIndex = 0;
+        let match;
+        while ((match = RICH_TEXT_TAG_PATTERN.exec(markup)) !== null) {
+            appendText(markup.slice(lastIndex, match.index));
+            lastIndex = match.index + match[0].length;
+
+            const isClosing = match[1] === '/';
+            const tag = match[2].toLowerCase();
+            const value = RichText.parseValue(tag, match[3]);
+
+            if (isClosing) {
+                stacks[tag].pop();
+            } else if (value !== null) {
+                stacks[tag].push(value);
+            } else {
+                // Invalid value - keep the tag as typed
+                appendText(match[0]);
+                continue;
+            }
+
+            currentStyle = RichText.buildStyle(stacks);
+        }
+        appendText(markup.slice(lastIndex));
+
+        return { text: text, styles: styles };
+    },
+
+    /**
+     * Validate a tag's value
+     * @param {string} tag - Tag name (lowercase)
+     * @param {string|undefined} rawValue - Text after the '='
+     * @returns {*} Parsed value, or null if the tag is invalid
+     */
+    parseValue: function(tag, rawValue) {
+        const value = rawValue === undefined ? '' : rawValue.trim();
+
+        switch (tag) {
+            case 'color':
+                return /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value) || /^[a-z]+$/i.test(value) ? value : null;
+            case 'size': {
+                const size = parseFloat(value);
+                return size > 0 ? size : null;
+            }
+            case 'mat':
+                return MATERIAL_PRESETS[value.toLowerCase()] ? value.toLowerCase() : null;
+            case 'static':
+                return value === '' ? true : null;
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Build the style for the innermost open tags
+     * @param {Object} stacks - Open tag values by tag name
+     * @returns {Object|null} Style, or null when no tags are open
+     */
+    buildStyle: function(stacks) {
+        const top = (stack) => stack[stack.length - 1];
+        const style = {};
+
+        if (stacks.color.length > 0) style.color = top(stacks.color);
+        if (stacks.size.length > 0) style.size = top(stacks.size);
+        if (stacks.mat.length > 0) style.material = top(stacks.mat);
+        if (stacks.static.length > 0) style.isStatic = true;
+
+        return Object.keys(style).length > 0 ? style : null;
+    },
+
+    /**
+     * Apply the letter case setting to parsed text, keeping styles aligned
+     * (a character can change length, e.g. 'ß' uppercases to 'SS')
+     * @param {Object} parsed - Result of RichText.parse()
+     * @returns {Object} { text, styles } with case applied
+     */
+    applyCase: function(parsed) {
+        let text = '';
+        const styles = [];
+
+        for (let i = 0; i < parsed.text.length; i++) {
+            const mapped = TextLayout.applyCase(parsed.text[i]);
+            for (let j = 0; j < mapped.length; j++) {
+                text += mapped[j];
+                styles.push(parsed.styles[i]);
+            }
+        }
+
+        return { text: text, styles: styles };
+    },
+
+    /**
+     * Get a key that is equal for identical styles (used to match letters between edits)
+     * @param {Object|null} style - Letter style
+     * @returns {string} Style key
+     */
+    getStyleKey: function(style) {
+        if (!style) return '';
+        return [style.color || '', style.size || '', style.material || '', style.isStatic ? 'static' : ''].join('|');
+    }
+};
+
+// Make RichText globally available
+window.RichText = RichText;
@@ -0,0 +1,154 @@
+/*
+ * Text Blocks Module - Independent Text Layers
+ * Author: Studio Video
+ *
+ * A scene can hold several text blocks (e.g. a title and a subtitle). Each
+ * block has its own text, offset, font size, palette, material preset and
+ * physics settings; everything else falls through to InflatableText.settings.
+ * Letters remember the block they belong to (letterObj.block).
+ */
+
+// Settings each block keeps its own copy of (the rest are shared scene settings)
+const BLOCK_SETTING_KEYS = ['fontSize', 'fitToBox', 'letterColors', 'selectedMaterial', 'gravity', 'balloonFill', 'airDrag', 'bounciness', 'colliderShape', 'colliderSize', 'angularDamping', 'uprightStrength'];
+
+// ========== TEXT BLOCKS NAMESPACE ==========
+const TextBlocks = {
+    nextId: 1,
+
+    /**
+     * Create a text block, copying per-block settings from an existing settings object
+     * @param {Object} sourceSettings - Settings to copy from (default: the global settings)
+     * @returns {Object} Block { id, name, text, offsetX, offsetY, settings }
+     */
+    create: function(sourceSettings = null) {
+        const source = sourceSettings || InflatableText.settings;
+
+        // Unlisted settings are read through to the global settings object
+        const settings = Object.create(InflatableText.settings);
+        BLOCK_SETTING_KEYS.forEach(key => {
+            settings[key] = Array.isArray(source[key]) ? source[key].slice() : source[key];
+        });
+
+        const id = TextBlocks.nextId++;
+        return {
+            id: id,
+            name: `Block ${id}`,
+            text: '',
+            offsetX: 0, // World units from the layout position
+            offsetY: 0,
+            settings: settings
+        };
+    },
+
+    /**
+     * Add a block after the existing ones and make it active
+     * New blocks start with the active block's style so a subtitle matches its title
+     * @returns {Object} The new block
+     */
+    add: function() {
+        const active = TextBlocks.getActive();
+        const block = TextBlocks.create(active ? active.settings : null);
+
+        InflatableText.textBlocks.push(block);
+        InflatableText.activeBlockIndex = InflatableText.textBlocks.length - 1;
+
+        console.log(`➕ Added ${block.name}`);
+        return block;
+    },
+
+    /**
+     * Get the block the panel is editing
+     * @returns {Object|null} Active block
+     */
+    getActive: function() {
+        return InflatableText.textBlocks[InflatableText.activeBlockIndex] || null;
+    },
+
+    /**
+     * Make a block the one the panel edits
+     * @param {number} index - Block index
+     */
+    select: function(index) {
+        if (index < 0 || index >= InflatableText.textBlocks.length) return;
+        InflatableText.activeBlockIndex = index;
+    },
+
+    /**
+     * Move a block up or down the list (changes typing animation order)
+     * @param {number} index - Block index
+     * @param {number} direction - -1 to move up, 1 to move down
+     */
+    move: function(index, direction) {
+        const blocks = InflatableText.textBlocks;
+        const target = index + direction;
+        if (target < 0 || target >= blocks.length) return;
+
+        const block = blocks[index];
+        blocks[index] = blocks[target];
+        blocks[target] = block;
+
+        // Keep the same block selected
+        if (InflatableText.activeBlockIndex === index) {
+            InflatableText.activeBlockIndex = target;
+        } else if (InflatableText.activeBlockIndex === target) {
+            InflatableText.activeBlockIndex = index;
+        }
+    },
+
+    /**
+     * Delete a block; its letters play their exit animation
+     * The last remaining block can't be deleted
+     * @param {number} index - Block index
+     */
+    remove: function(index) {
+        const blocks = InflatableText.textBlocks;
+        if (blocks.length <= 1 || index < 0 || index >= blocks.length) return;
+
+        const block = blocks[index];
+        InflatableText.letterMeshes.forEach(letterObj => {
+            if (letterObj.block === block) {
+                ExitAnimations.start(letterObj);
+            }
+        });
+
+        blocks.splice(index, 1);
+        if (index < InflatableText.activeBlockIndex) InflatableText.activeBlockIndex--; // Keep the same block selected
+        InflatableText.activeBlockIndex = Math.min(InflatableText.activeBlockIndex, blocks.length - 1);
+
+        console.log(`🗑️ Deleted ${block.name}`);
+    },
+
+    /**
+     * Get a block's text with rich text tags stripped and the letter case applied
+     * @param {Object} block - Text block
+     * @returns {string} Plain text
+     */
+    getPlainText: function(block) {
+        return TextLayout.applyCase(RichText.parse(block.text).text);
+    },
+
+    /**
+     * Lay out a block's text with its font size (or fitted to the box) and offset
+     * Rich text tags are stripped and their styles attached to the letters
+     * @param {Object} block - Text block
+     * @returns {Object} Result of TextLayout.layoutText() with offsets applied to the letters
+     */
+    layout: function(block) {
+        const styled = RichText.applyCase(RichText.parse(block.text));
+        const layout = TextLayout.layoutText(styled.text, {
+            fontSize: block.settings.fontSize,
+            fitToBox: block.settings.fitToBox,
+            styles: styled.styles
+        });
+
+        layout.letters.forEach(letter => {
+            letter.x += block.offsetX;
+            letter.y += block.offsetY;
+        });
+
+        return layout;
+    }
+};
+
+// Make TextBlocks globally available
+window.TextBlocks = TextBlocks;
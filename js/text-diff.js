@@ -0,0 +1,58 @@
+/*
+ * Text Diff Module - Match Letters Between Edits
+ * Author: Studio Video
+ *
+ * Finds which letters survive a text edit using a longest common
+ * subsequence of characters, so kept balloons can slide to their new
+ * slots and only newly typed characters spawn and inflate.
+ */
+
+// ========== TEXT DIFF NAMESPACE ==========
+const TextDiff = {
+    /**
+     * Match items in the new sequence to items in the old sequence
+     * Uses the longest common subsequence, so an insert or delete mid-word
+     * leaves every other letter matched to its old balloon
+     * @param {Array<string>} oldItems - Previous sequence (e.g. letter characters)
+     * @param {Array<string>} newItems - New sequence
+     * @returns {Array<number>} For each new item, the index of its old match or -1 if it's new
+     */
+    matchSequences: function(oldItems, newItems) {
+        const oldCount = oldItems.length;
+        const newCount = newItems.length;
+
+        // lengths[i][j] = LCS length of oldItems[i..] and newItems[j..]
+        const lengths = [];
+        for (let i = 0; i <= oldCount; i++) {
+            lengths.push(new Uint16Array(newCount + 1));
+        }
+        for (let i = oldCount - 1; i >= 0; i--) {
+            for (let j = newCount - 1; j >= 0; j--) {
+                lengths[i][j] = oldItems[i] === newItems[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+
+        // Walk the table front to back, recording matched pairs
+        const matches = new Array(newCount).fill(-1);
+        let i = 0;
+        let j = 0;
+        while (i < oldCount && j < newCount) {
+            if (oldItems[i] === newItems[j] && lengths[i][j] === lengths[i + 1][j + 1] + 1) {
+                matches[j] = i;
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                i++; // Old item was deleted
+            } else {
+                j++; // New item was inserted
+            }
+        }
+
+        return matches;
+    }
+};
+
+// Make TextDiff globally available
+window.TextDiff = TextDiff;
@@ -0,0 +1,213 @@
+/*
+ * Text Path Module - Letters Along a Curve
+ * Author: Studio Video
+ *
+ * Builds circle, arc, sine wave and uploaded SVG paths inside the canvas
+ * bounds and places letters along them, each one turned to follow the
+ * path's tangent. Used by TextLayout.layoutText() when path layout is on.
+ */
+
+// ========== TEXT PATH NAMESPACE ==========
+const TextPath = {
+    /**
+     * Build the curve for the current path settings
+     * Circles and arcs run clockwise so text reads left to right over the top
+     * @param {Object} bounds - { minX, maxX, minY, maxY } to fit the path inside
+     * @param {Object} settings - Settings object (pathShape, pathSize, pathArcSweep, ...)
+     * @returns {Object|null} { curve: THREE.Curve, closed: boolean } or null if the path can't be built
+     */
+    createCurve: function(bounds, settings) {
+        const boxWidth = bounds.maxX - bounds.minX;
+        const boxHeight = bounds.maxY - bounds.minY;
+        const centerX = (bounds.minX + bounds.maxX) / 2;
+        const centerY = (bounds.minY + bounds.maxY) / 2;
+        const radius = Math.min(boxWidth, boxHeight) / 2 * settings.pathSize;
+
+        switch (settings.pathShape) {
+            case 'circle': {
+                // Start at the bottom so the middle of the path is the top of the ring
+                const start = -Math.PI / 2;
+                return {
+                    curve: new THREE.EllipseCurve(centerX, centerY, radius, radius, start, start - Math.PI * 2, true),
+                    closed: true
+                };
+            }
+
+            case 'arc': {
+                // Arc centered on the top of the circle
+                const sweep = THREE.MathUtils.degToRad(settings.pathArcSweep);
+                const start = Math.PI / 2 + sweep / 2;
+                return {
+                    curve: new THREE.EllipseCurve(centerX, centerY, radius, radius, start, start - sweep, true),
+                    closed: sweep >= Math.PI * 2
+                };
+            }
+
+            case 'wave': {
+                // Sine wave across the box width
+                const width = boxWidth * settings.pathSize;
+                const points = [];
+                const samples = 128;
+                for (let i = 0; i <= samples; i++) {
+                    const t = i / samples;
+                    points.push(new THREE.Vector2(
+                        centerX - width / 2 + t * width,
+                        centerY + Math.sin(t * Math.PI * 2 * settings.pathWaveFrequency) * settings.pathWaveAmplitude
+                    ));
+                }
+                return { curve: new THREE.SplineCurve(points), closed: false };
+            }
+
+            case 'svg':
+                return TextPath.createSvgCurve(settings.pathSvgData, bounds, settings.pathSize);
+
+            default:
+                console.warn(`⚠️ Unknown path shape "${settings.pathShape}"`);
+                return null;
+        }
+    },
+
+    /**
+     * Build a curve from the first path in an uploaded SVG, scaled to fit the bounds
+     * @param {string} svgText - SVG file contents
+     * @param {Object} bounds - { minX, maxX, minY, maxY }
+     * @param {number} size - Fraction of the bounds to fill (0-1)
+     * @returns {Object|null} { curve: THREE.Path, closed: boolean } or null if no path was found
+     */
+    createSvgCurve: function(svgText, bounds, size) {
+        if (!svgText) {
+            console.warn('⚠️ No SVG path uploaded yet');
+            return null;
+        }
+
+        const data = new THREE.SVGLoader().parse(svgText);
+        const subPath = data.paths.length > 0 ? data.paths[0].subPaths[0] : null;
+        if (!subPath) {
+            console.warn('⚠️ SVG file has no path to follow');
+            return null;
+        }
+
+        // Sample the path densely, then fit it into the bounds (SVG y points down)
+        const points = subPath.getSpacedPoints(256);
+        const box = new THREE.Box2().setFromPoints(points);
+        const pathSize = box.getSize(new THREE.Vector2());
+        const boxWidth = bounds.maxX - bounds.minX;
+        const boxHeight = bounds.maxY - bounds.minY;
+        const scale = Math.min(boxWidth / (pathSize.x || 1), boxHeight / (pathSize.y || 1)) * size;
+        const pathCenter = box.getCenter(new THREE.Vector2());
+        const centerX = (bounds.minX + bounds.maxX) / 2;
+        const centerY = (bounds.minY + bounds.maxY) / 2;
+
+        const fitted = points.map(point => new THREE.Vector2(
+            centerX + (point.x - pathCenter.x) * scale,
+            centerY - (point.y - pathCenter.y) * scale
+        ));
+
+        const closed = fitted[0].distanceTo(fitted[fitted.length - 1]) < 1e-3;
+        return { curve: new THREE.Path(fitted), closed: closed };
+    },
+
+    /**
+     * Lay out text along the current path
+     * Closed paths spread the letters evenly around the whole loop; open paths
+     * place the text using the horizontal alignment and squeeze it if it's too long
+     * @param {string} text - Text to lay out (newlines are treated as spaces)
+     * @param {Object} options - { fontSize, bounds, textAlign, styles }
+     * @returns {Object} Same shape as TextLayout.layoutText(), letters also carry a rotation
+     */
+    layoutOnPath: function(text, options) {
+        const settings = InflatableText.settings;
+        const fontSize = options.fontSize;
+        const bounds = options.bounds;
+        const line = text.replace(/\n/g, ' ');
+        const styles = options.styles || null;
+        const visual = TextLayout.getVisualLine(line, Bidi.getParagraphDirection(line));
+        const lineOptions = styles ? { sizes: TextLayout.getStyleSizes(styles, 0, visual.indices) } : {};
+        const lineLayout = TextLayout.layoutLine(visual.text, fontSize, lineOptions);
+        const result = {
+            letters: [],
+            lines: [],
+            bounds: { minX: bounds.minX, maxX: bounds.maxX, minY: bounds.minY, maxY: bounds.maxY },
+            letterHeight: fontSize * 1.5,
+            spacingScale: 1,
+            fontSize: fontSize
+        };
+
+        const path = TextPath.createCurve(bounds, settings);
+        if (!path || lineLayout.width === 0) {
+            return result;
+        }
+
+        const pathLength = path.curve.getLength();
+        const capHeight = TextLayout.getCapHeight(fontSize);
+        let spacingScale = 1;
+        let startOffset;
+
+        if (path.closed) {
+            // Spread letters evenly around the loop, leaving one tracking gap where the ends meet
+            spacingScale = pathLength / (lineLayout.width + TextLayout.getTracking(fontSize));
+            startOffset = 0;
+        } else if (lineLayout.width > pathLength || options.textAlign === 'justify') {
+            // Squeeze (or stretch, when justified) the text to the path length
+            spacingScale = pathLength / lineLayout.width;
+            startOffset = 0;
+        } else if (options.textAlign === 'left') {
+            startOffset = 0;
+        } else if (options.textAlign === 'right') {
+            startOffset = pathLength - lineLayout.width;
+        } else {
+            startOffset = (pathLength - lineLayout.width) / 2;
+        }
+
+        const allPoints = [];
+        lineLayout.glyphs.forEach((glyph, glyphIndex) => {
+            if (!glyph.char.trim()) return;
+
+            const distance = startOffset + glyph.x * spacingScale;
+            const u = THREE.MathUtils.clamp(distance / pathLength, 0, 1);
+            const point = path.curve.getPointAt(u);
+            const tangent = path.curve.getTangentAt(u);
+
+            // The path runs through the middle of the capitals; shift each glyph's ink
+            // center along the normal so descenders hang below the shared baseline
+            const normalOffset = glyph.y - capHeight / 2;
+            point.x -= tangent.y * normalOffset;
+            point.y += tangent.x * normalOffset;
+
+            allPoints.push(point);
+            const sourceIndex = visual.indices[glyphIndex];
+            result.letters.push({
+                char: glyph.char,
+                x: point.x,
+                y: point.y,
+                rotation: Math.atan2(tangent.y, tangent.x), // Letter baseline follows the tangent
+                index: 0, // Set once letters are in reading order
+                line: 0,
+                sourceIndex: sourceIndex,
+                style: styles ? styles[sourceIndex] : null,
+                fontSize: glyph.fontSize
+            });
+        });
+        TextLayout.sortByReadingOrder(result.letters);
+
+        if (allPoints.length > 0) {
+            const box = new THREE.Box2().setFromPoints(allPoints);
+            result.bounds = { minX: box.min.x, maxX: box.max.x, minY: box.min.y, maxY: box.max.y };
+        }
+        result.lines.push({
+            text: line,
+            direction: Bidi.getParagraphDirection(line),
+            x: result.bounds.minX,
+            y: (result.bounds.minY + result.bounds.maxY) / 2,
+            baseline: (result.bounds.minY + result.bounds.maxY) / 2,
+            width: pathLength,
+            height: result.letterHeight
+        });
+        result.spacingScale = spacingScale;
+
+        return result;
+    }
+};
+
+// Make TextPath globally available
+window.TextPath = TextPath;
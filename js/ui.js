@@ -3,241 +3,25 @@
  * Handles all user interface interactions and control panel setup
  */
 
-// ========== TEXT WRAPPING FOR AUTO SPACING ==========
-function wrapTextToFit(lines, boxWidth, boxHeight, letterWidth, letterHeight) {
-    const wrappedLines = [];
-
-    // Calculate max characters per line based on box width
-    const maxCharsPerLine = Math.floor(boxWidth / letterWidth);
-
-    if (maxCharsPerLine <= 0) {
-        return { lines: lines, letterWidth: letterWidth, letterHeight: letterHeight }; // Can't fit any characters, return as-is
-    }
-
-    // Wrap each line
-    lines.forEach(line => {
-        if (line.length === 0) {
-            wrappedLines.push('');
-            return;
-        }
-
-        // Split line into chunks that fit
-        const words = line.split(' ');
-        let currentLine = '';
-
-        words.forEach((word, wordIndex) => {
-            // Try adding this word to current line
-            const testLine = currentLine ? currentLine + ' ' + word : word;
-
-            if (testLine.length <= maxCharsPerLine) {
-                // Word fits on current line
-                currentLine = testLine;
-            } else {
-                // Word doesn't fit
-                if (currentLine) {
-                    // Save current line and start new line with word
-                    wrappedLines.push(currentLine);
-                    currentLine = word;
-                } else {
-                    // Word itself is longer than max chars - force break it
-                    if (word.length > maxCharsPerLine) {
-                        // Break long word into chunks
-                        for (let i = 0; i < word.length; i += maxCharsPerLine) {
-                            wrappedLines.push(word.substring(i, i + maxCharsPerLine));
-                        }
-                        currentLine = '';
-                    } else {
-                        currentLine = word;
-                    }
-                }
-            }
-
-            // Add last word if it's the final word
-            if (wordIndex === words.length - 1 && currentLine) {
-                wrappedLines.push(currentLine);
-            }
-        });
-    });
-
-    // Now check if wrapped lines fit vertically, and adjust spacing if needed
-    let adjustedLetterWidth = letterWidth;
-    let adjustedLetterHeight = letterHeight;
-
-    // Check if text fits vertically
-    const totalHeight = wrappedLines.length * letterHeight;
-    if (totalHeight > boxHeight) {
-        // Need to shrink line spacing to fit
-        adjustedLetterHeight = boxHeight / wrappedLines.length;
-    }
-
-    // Check if text fits horizontally (find longest line)
-    const maxLineLength = Math.max(...wrappedLines.map(line => line.replace(/\s/g, '').length));
-    const totalWidth = maxLineLength * letterWidth;
-    if (totalWidth > boxWidth) {
-        // Need to shrink letter spacing to fit
-        adjustedLetterWidth = boxWidth / maxLineLength;
-        // Also adjust letter height proportionally to maintain aspect ratio
-        adjustedLetterHeight = adjustedLetterWidth * 1.25; // Maintain similar ratio
-
-        // Re-check vertical fit with new letter height
-        const newTotalHeight = wrappedLines.length * adjustedLetterHeight;
-        if (newTotalHeight > boxHeight) {
-            adjustedLetterHeight = boxHeight / wrappedLines.length;
-        }
-    }
-
-    return { lines: wrappedLines, letterWidth: adjustedLetterWidth, letterHeight: adjustedLetterHeight };
-}
-
 // ========== UI CONTROLS ==========
 function setupControls() {
     // Text input - creates new letter on each keystroke
     const textInput = document.getElementById('text-input');
 
     textInput.addEventListener('input', (e) => {
-        const text = e.target.value.toUpperCase();
+        // The text input edits the active text block
+        TextBlocks.getActive().text = e.target.value;
+        renderTextBlockList();
+        updateMissingGlyphsStatus();
 
         // If typing animation is playing, don't update letters immediately
         if (InflatableText.settings.playTypingAnimation) {
             return;
         }
 
-        // If empty, clear all
-        if (!text) {
-            InflatableText.letterMeshes.forEach(letterObj => {
-                if (letterObj.mesh) {
-                    InflatableText.scene.remove(letterObj.mesh);
-                    letterObj.mesh.geometry.dispose();
-                    letterObj.mesh.material.dispose();
-                }
-            });
-            InflatableText.letterMeshes = [];
-            return;
-        }
-
-        // Split text into lines
-        let lines = text.split('\n');
-
-        // Calculate grid layout parameters
-        const bounds = InflatableText.canvasBounds;
-        const boxWidth = bounds.maxX - bounds.minX;
-        const boxHeight = bounds.maxY - bounds.minY;
-
-        // Calculate letter spacing using settings
-        let letterWidth, letterHeight;
-
-        if (InflatableText.settings.autoSpacing) {
-            // Automatic spacing based on font size
-            letterWidth = InflatableText.settings.fontSize * 1.2; // 120% of font size
-            letterHeight = InflatableText.settings.fontSize * 1.5; // 150% of font size for line height
-
-            // Auto-wrap text if it doesn't fit in the bounding box
-            const result = wrapTextToFit(lines, boxWidth, boxHeight, letterWidth, letterHeight);
-            lines = result.lines;
-            letterWidth = result.letterWidth;
-            letterHeight = result.letterHeight;
-        } else {
-            // Manual spacing using sliders
-            // Find the longest line for width calculation
-            const maxLineLength = Math.max(...lines.map(line => line.length));
-            if (maxLineLength === 0) return;
-
-            letterWidth = (boxWidth / maxLineLength) * InflatableText.settings.letterSpacing;
-            letterHeight = (boxHeight / lines.length) * InflatableText.settings.lineSpacing;
-        }
-
-        // Calculate total height of all lines and center vertically
-        const totalTextHeight = lines.length * letterHeight;
-        const verticalOffset = (boxHeight - totalTextHeight) / 2;
-
-        // Build array of new letter data with positions
-        const newLetters = [];
-        lines.forEach((line, rowIndex) => {
-            // Calculate centering offset for this line
-            const lineLength = line.replace(/\s/g, '').length; // Count non-whitespace chars
-            const lineWidth = lineLength * letterWidth;
-            const centerOffset = (boxWidth - lineWidth) / 2;
-
-            let charIndexInLine = 0;
-            for (let colIndex = 0; colIndex < line.length; colIndex++) {
-                const char = line[colIndex];
-
-                if (char.trim()) {
-                    let x, y;
-
-                    if (InflatableText.settings.randomSpawn) {
-                        // Random spawn position within bounds
-                        const angle = Math.random() * Math.PI * 2;
-                        const radius = InflatableText.settings.spawnRadius;
-                        x = Math.cos(angle) * radius;
-                        y = Math.sin(angle) * radius;
-                    } else {
-                        // Grid layout position
-                        x = bounds.minX + centerOffset + charIndexInLine * letterWidth + letterWidth / 2;
-                        y = bounds.maxY - verticalOffset - rowIndex * letterHeight - letterHeight / 2;
-                    }
-
-                    newLetters.push({ char, x, y });
-                    charIndexInLine++;
-                }
-            }
-        });
-
-        // Update existing letters positions and remove excess
-        if (newLetters.length < InflatableText.letterMeshes.length) {
-            // Remove extra letters from the end
-            const removeCount = InflatableText.letterMeshes.length - newLetters.length;
-            for (let i = 0; i < removeCount; i++) {
-                const letterObj = InflatableText.letterMeshes.pop();
-                if (letterObj && letterObj.mesh) {
-                    InflatableText.scene.remove(letterObj.mesh);
-                    letterObj.mesh.geometry.dispose();
-                    letterObj.mesh.material.dispose();
-                }
-            }
-        }
-
-        // Update existing letters or add new ones
-        newLetters.forEach((newLetter, index) => {
-            if (index < InflatableText.letterMeshes.length) {
-                const letterObj = InflatableText.letterMeshes[index];
-
-                // Only update position if NOT in random spawn mode AND position has significantly changed
-                if (!InflatableText.settings.randomSpawn) {
-                    const positionChanged =
-                        Math.abs(letterObj.position.x - newLetter.x) > 0.1 ||
-                        Math.abs(letterObj.position.y - newLetter.y) > 0.1;
-
-                    if (positionChanged) {
-                        letterObj.position.x = newLetter.x;
-                        letterObj.position.y = newLetter.y;
-                        // Reset velocity when position is updated
-                        letterObj.velocity.x = 0;
-                        letterObj.velocity.y = 0;
-                    }
-                }
-
-                // Update character if changed
-                if (letterObj.char !== newLetter.char) {
-                    letterObj.char = newLetter.char;
-                    // Rebuild geometry with current bevel values
-                    const oldGeometry = letterObj.mesh.geometry;
-                    letterObj.mesh.geometry = createLetterGeometry(
-                        letterObj.char,
-                        letterObj.currentBevelThickness,
-                        letterObj.currentBevelSize
-                    );
-                    oldGeometry.dispose();
-                }
-            } else {
-                // Create new letter
-                const gridPosition = { x: newLetter.x, y: newLetter.y };
-                const letterObj = createLetterMesh(newLetter.char, index, gridPosition);
-                if (letterObj) {
-                    InflatableText.letterMeshes.push(letterObj);
-                }
-            }
-        });
+        // Diff against the letters on screen so only new characters spawn
+        // (every block re-lays out, since layout settings are shared)
+        updateAllBlockLetters();
     });
 
     // Background color
@@ -341,6 +125,121 @@ function setupControls() {
         inflationSpeed.value = e.target.value;
     });
 
+    // Inflation curve
+    const inflationCurve = document.getElementById('inflation-curve');
+    inflationCurve.addEventListener('change', (e) => {
+        InflatableText.settings.inflationCurve = e.target.value;
+        document.getElementById('inflation-bezier-group').style.display = e.target.value === 'cubicBezier' ? 'block' : 'none';
+    });
+
+    // Custom cubic bezier control points
+    ['x1', 'y1', 'x2', 'y2'].forEach((name, index) => {
+        const input = document.getElementById(`inflation-bezier-${name}`);
+        input.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            if (!isNaN(value)) {
+                InflatableText.settings.inflationBezier[index] = value;
+            }
+        });
+    });
+
+    // Overshoot wobble
+    const inflationOvershoot = document.getElementById('inflation-overshoot');
+    inflationOvershoot.addEventListener('change', (e) => {
+        InflatableText.settings.inflationOvershoot = e.target.checked;
+        document.getElementById('overshoot-settings-group').style.display = e.target.checked ? 'block' : 'none';
+    });
+
+    const overshootAmount = document.getElementById('overshoot-amount');
+    const overshootAmountInput = document.getElementById('overshoot-amount-input');
+    overshootAmount.addEventListener('input', (e) => {
+        InflatableText.settings.overshootAmount = parseFloat(e.target.value);
+        overshootAmountInput.value = e.target.value;
+    });
+    overshootAmountInput.addEventListener('input', (e) => {
+        InflatableText.settings.overshootAmount = parseFloat(e.target.value);
+        overshootAmount.value = e.target.value;
+    });
+
+    const overshootFrequency = document.getElementById('overshoot-frequency');
+    const overshootFrequencyInput = document.getElementById('overshoot-frequency-input');
+    overshootFrequency.addEventListener('input', (e) => {
+        InflatableText.settings.overshootFrequency = parseFloat(e.target.value);
+        overshootFrequencyInput.value = e.target.value;
+    });
+    overshootFrequencyInput.addEventListener('input', (e) => {
+        InflatableText.settings.overshootFrequency = parseFloat(e.target.value);
+        overshootFrequency.value = e.target.value;
+    });
+
+    const overshootDamping = document.getElementById('overshoot-damping');
+    const overshootDampingInput = document.getElementById('overshoot-damping-input');
+    overshootDamping.addEventListener('input', (e) => {
+        InflatableText.settings.overshootDamping = parseFloat(e.target.value);
+        overshootDampingInput.value = e.target.value;
+    });
+    overshootDampingInput.addEventListener('input', (e) => {
+        InflatableText.settings.overshootDamping = parseFloat(e.target.value);
+        overshootDamping.value = e.target.value;
+    });
+
+    // Inflation model
+    const inflationModel = document.getElementById('inflation-model');
+    inflationModel.addEventListener('change', (e) => {
+        InflatableText.settings.inflationModel = e.target.value;
+        document.getElementById('membrane-settings-group').style.display = e.target.value === 'pressure' ? 'block' : 'none';
+        rebuildAllLetterGeometry();
+    });
+
+    // Membrane pressure and stiffness (re-solving the membrane is slow, so letters rebuild on release)
+    const membranePressure = document.getElementById('membrane-pressure');
+    const membranePressureInput = document.getElementById('membrane-pressure-input');
+    membranePressure.addEventListener('input', (e) => {
+        membranePressureInput.value = e.target.value;
+    });
+    membranePressure.addEventListener('change', (e) => {
+        InflatableText.settings.membranePressure = parseFloat(e.target.value);
+        rebuildAllLetterGeometry();
+    });
+    membranePressureInput.addEventListener('change', (e) => {
+        InflatableText.settings.membranePressure = parseFloat(e.target.value);
+        membranePressure.value = e.target.value;
+        rebuildAllLetterGeometry();
+    });
+
+    const membraneStiffness = document.getElementById('membrane-stiffness');
+    const membraneStiffnessInput = document.getElementById('membrane-stiffness-input');
+    membraneStiffness.addEventListener('input', (e) => {
+        membraneStiffnessInput.value = e.target.value;
+    });
+    membraneStiffness.addEventListener('change', (e) => {
+        InflatableText.settings.membraneStiffness = parseFloat(e.target.value);
+        rebuildAllLetterGeometry();
+    });
+    membraneStiffnessInput.addEventListener('change', (e) => {
+        InflatableText.settings.membraneStiffness = parseFloat(e.target.value);
+        membraneStiffness.value = e.target.value;
+        rebuildAllLetterGeometry();
+    });
+
+    // Exit animation
+    const exitAnimation = document.getElementById('exit-animation');
+    exitAnimation.addEventListener('change', (e) => {
+        InflatableText.settings.exitAnimation = e.target.value;
+    });
+
+    // Exit speed
+    const exitSpeed = document.getElementById('exit-speed');
+    const exitSpeedInput = document.getElementById('exit-speed-input');
+    exitSpeed.addEventListener('input', (e) => {
+        InflatableText.settings.exitSpeed = parseFloat(e.target.value);
+        exitSpeedInput.value = e.target.value;
+    });
+    exitSpeedInput.addEventListener('input', (e) => {
+        InflatableText.settings.exitSpeed = parseFloat(e.target.value);
+        exitSpeed.value = e.target.value;
+    });
+
     // Play typing animation toggle
     const playTypingAnimation = document.getElementById('play-typing-animation');
     playTypingAnimation.addEventListener('change', (e) => {
@@ -460,7 +359,7 @@ function setupControls() {
     const fontSize = document.getElementById('font-size');
     const fontSizeInput = document.getElementById('font-size-input');
     fontSize.addEventListener('input', (e) => {
-        InflatableText.settings.fontSize = parseFloat(e.target.value);
+        getEditedSettings().fontSize = parseFloat(e.target.value);
         fontSizeInput.value = e.target.value;
         // If auto spacing is on, trigger text update to recalculate
         if (InflatableText.settings.autoSpacing) {
@@ -472,8 +371,11 @@ function setupControls() {
             window.ClockMode.updatePositions();
         }
     });
+    // Pre-warm letters at the new size once the slider is let go
+    fontSize.addEventListener('change', prewarmLetterGeometry);
+    fontSizeInput.addEventListener('change', prewarmLetterGeometry);
     fontSizeInput.addEventListener('input', (e) => {
-        InflatableText.settings.fontSize = parseFloat(e.target.value);
+        getEditedSettings().fontSize = parseFloat(e.target.value);
         fontSize.value = e.target.value;
         // If auto spacing is on, trigger text update to recalculate
         if (InflatableText.settings.autoSpacing) {
@@ -486,10 +388,19 @@ function setupControls() {
         }
     });
 
+    // Fit to box (picks the font size automatically)
+    const fitToBox = document.getElementById('fit-to-box');
+    fitToBox.addEventListener('change', (e) => {
+        getEditedSettings().fitToBox = e.target.checked;
+        updateFitControlsState();
+        textInput.dispatchEvent(new Event('input'));
+    });
+
     // Spacing mode radio buttons
     const spacingRandom = document.getElementById('spacing-random');
     const spacingAutomatic = document.getElementById('spacing-automatic');
     const spacingManual = document.getElementById('spacing-manual');
+    const spacingPath = document.getElementById('spacing-path');
     const letterSpacing = document.getElementById('letter-spacing');
     const letterSpacingInput = document.getElementById('letter-spacing-input');
     const lineSpacing = document.getElementById('line-spacing');
@@ -507,6 +418,15 @@ function setupControls() {
             letterSpacingGroup.style.display = 'none';
             lineSpacingGroup.style.display = 'none';
         }
+
+        // Show path controls only when On Path is selected
+        const pathSettingsGroup = document.getElementById('path-settings-group');
+        pathSettingsGroup.style.display = spacingPath.checked ? 'block' : 'none';
+        updatePathControlsState();
+
+        // Fit to box only applies to automatic spacing
+        document.getElementById('fit-to-box-group').style.display = spacingAutomatic.checked ? 'block' : 'none';
+        updateFitControlsState();
     }
 
     // Radio button change handlers
@@ -514,6 +434,7 @@ function setupControls() {
         if (e.target.checked) {
             InflatableText.settings.randomSpawn = true;
             InflatableText.settings.autoSpacing = false;
+            InflatableText.settings.pathLayout = false;
             updateSpacingControlsState();
         }
     });
@@ -522,6 +443,7 @@ function setupControls() {
         if (e.target.checked) {
             InflatableText.settings.randomSpawn = false;
             InflatableText.settings.autoSpacing = true;
+            InflatableText.settings.pathLayout = false;
             updateSpacingControlsState();
             // Trigger text input update to recalculate positions
             const textInput = document.getElementById('text-input');
@@ -533,6 +455,7 @@ function setupControls() {
         if (e.target.checked) {
             InflatableText.settings.randomSpawn = false;
             InflatableText.settings.autoSpacing = false;
+            InflatableText.settings.pathLayout = false;
             updateSpacingControlsState();
             // Trigger text input update to recalculate positions
             const textInput = document.getElementById('text-input');
@@ -540,6 +463,21 @@ function setupControls() {
         }
     });
 
+    spacingPath.addEventListener('change', (e) => {
+        if (e.target.checked) {
+            InflatableText.settings.randomSpawn = false;
+            InflatableText.settings.autoSpacing = true; // Font size changes re-run the layout
+            InflatableText.settings.pathLayout = true;
+            updateSpacingControlsState();
+            // Trigger text input update to recalculate positions
+            const textInput = document.getElementById('text-input');
+            textInput.dispatchEvent(new Event('input'));
+        }
+    });
+
+    // Text path controls
+    setupPathControls();
+
     // Initialize spacing controls state
     updateSpacingControlsState();
 
@@ -583,7 +521,48 @@ function setupControls() {
         textInput.dispatchEvent(new Event('input'));
     });
 
+    // Letter case
+    const textCase = document.getElementById('text-case');
+    textCase.addEventListener('change', (e) => {
+        InflatableText.settings.textCase = e.target.value;
+        // Trigger text input update to rebuild letters
+        textInput.dispatchEvent(new Event('input'));
+    });
+
+    // Text direction (Hebrew and Arabic paragraphs read right to left)
+    const textDirection = document.getElementById('text-direction');
+    textDirection.addEventListener('change', (e) => {
+        InflatableText.settings.textDirection = e.target.value;
+        // Trigger text input update to recalculate positions
+        textInput.dispatchEvent(new Event('input'));
+    });
 
+    // Horizontal alignment
+    const textAlign = document.getElementById('text-align');
+    textAlign.addEventListener('change', (e) => {
+        InflatableText.settings.textAlign = e.target.value;
+        // Trigger text input update to recalculate positions
+        textInput.dispatchEvent(new Event('input'));
+        // Update clock digit positions if clock mode is active
+        if (window.ClockMode && window.ClockMode.isActive()) {
+            window.ClockMode.updatePositions();
+        }
+    });
+
+    // Vertical alignment
+    const verticalAlign = document.getElementById('vertical-align');
+    verticalAlign.addEventListener('change', (e) => {
+        InflatableText.settings.verticalAlign = e.target.value;
+        // Trigger text input update to recalculate positions
+        textInput.dispatchEvent(new Event('input'));
+        // Update clock digit positions if clock mode is active
+        if (window.ClockMode && window.ClockMode.isActive()) {
+            window.ClockMode.updatePositions();
+        }
+    });
+
+    // Text block (layer) controls
+    setupTextBlockControls();
 
     // Color palette controls
     setupColorPalette();
@@ -591,6 +570,15 @@ function setupControls() {
     // Material preset controls
     setupMaterialControls();
 
+    // Physics controls
+    setupPhysicsControls();
+
+    // Pointer interaction controls
+    setupPointerControls();
+
+    // Force field controls
+    setupForceFieldControls();
+
 
     // Bounding box visibility toggle
     const showBoundingBox = document.getElementById('show-bounding-box');
@@ -599,6 +587,11 @@ function setupControls() {
         updateBoundingBoxDebug();
     });
 
+    // Force field gizmo visibility (updated every frame by ForceFields.update())
+    document.getElementById('show-force-fields').addEventListener('change', (e) => {
+        InflatableText.settings.showForceFields = e.target.checked;
+    });
+
     // Use custom bounding box size toggle
     const useBoundingBoxSize = document.getElementById('use-bounding-box-size');
     useBoundingBoxSize.addEventListener('change', (e) => {
@@ -634,6 +627,26 @@ function setupControls() {
         updateCanvasBounds();
     });
 
+    // Bounding box depth (front and back walls, used with or without a custom size)
+    const boundingBoxDepth = document.getElementById('bounding-box-depth');
+    const boundingBoxDepthInput = document.getElementById('bounding-box-depth-input');
+    boundingBoxDepth.addEventListener('input', (e) => {
+        InflatableText.settings.worldDepth = parseFloat(e.target.value);
+        boundingBoxDepthInput.value = e.target.value;
+        updateCanvasBounds();
+    });
+    boundingBoxDepthInput.addEventListener('input', (e) => {
+        InflatableText.settings.worldDepth = parseFloat(e.target.value);
+        boundingBoxDepth.value = e.target.value;
+        updateCanvasBounds();
+    });
+
+    // Level of detail
+    setupLodControls();
+
+    // Collision benchmark
+    setupCollisionBenchmark();
+
     // Clear button - removes all letters
     const clearBtn = document.getElementById('clear-btn');
     if (clearBtn) {
@@ -647,15 +660,13 @@ function setupControls() {
                 InflatableText.settings.playTypingAnimation = false;
             }
 
-            // Remove all meshes
-            InflatableText.letterMeshes.forEach(letterObj => {
-                if (letterObj.mesh) {
-                    InflatableText.scene.remove(letterObj.mesh);
-                    letterObj.mesh.geometry.dispose();
-                    letterObj.mesh.material.dispose();
-                }
+            // Remove all letters (each plays its exit animation) and empty every block
+            clearAllLetters();
+            InflatableText.textBlocks.forEach(block => {
+                block.text = '';
             });
-            InflatableText.letterMeshes = [];
+            renderTextBlockList();
+            updateMissingGlyphsStatus();
             InflatableText.nextLetterX = -20;
             textInput.value = "";
         });
@@ -708,6 +719,8 @@ function setupControls() {
                 window.ClockMode.updatePositions();
             }
         });
+        clockFontSize.addEventListener('change', prewarmLetterGeometry);
+        clockFontSizeInput.addEventListener('change', prewarmLetterGeometry);
     }
 
     // Clock Settings - Push Force
@@ -891,6 +904,746 @@ function setupControls() {
     }
 }
 
+// ========== TEXT PATH CONTROLS ==========
+function setupPathControls() {
+    const textInput = document.getElementById('text-input');
+    const relayout = () => textInput.dispatchEvent(new Event('input'));
+
+    // Path shape dropdown
+    const pathShape = document.getElementById('path-shape');
+    pathShape.addEventListener('change', (e) => {
+        InflatableText.settings.pathShape = e.target.value;
+        updatePathControlsState();
+        relayout();
+    });
+
+    // Path size (percent of the bounding box)
+    const pathSize = document.getElementById('path-size');
+    const pathSizeInput = document.getElementById('path-size-input');
+    pathSize.addEventListener('input', (e) => {
+        InflatableText.settings.pathSize = parseFloat(e.target.value) / 100;
+        pathSizeInput.value = e.target.value;
+        relayout();
+    });
+    pathSizeInput.addEventListener('input', (e) => {
+        InflatableText.settings.pathSize = parseFloat(e.target.value) / 100;
+        pathSize.value = e.target.value;
+        relayout();
+    });
+
+    // Arc sweep
+    const pathArcSweep = document.getElementById('path-arc-sweep');
+    const pathArcSweepInput = document.getElementById('path-arc-sweep-input');
+    pathArcSweep.addEventListener('input', (e) => {
+        InflatableText.settings.pathArcSweep = parseFloat(e.target.value);
+        pathArcSweepInput.value = e.target.value;
+        relayout();
+    });
+    pathArcSweepInput.addEventListener('input', (e) => {
+        InflatableText.settings.pathArcSweep = parseFloat(e.target.value);
+        pathArcSweep.value = e.target.value;
+        relayout();
+    });
+
+    // Wave amplitude
+    const pathWaveAmplitude = document.getElementById('path-wave-amplitude');
+    const pathWaveAmplitudeInput = document.getElementById('path-wave-amplitude-input');
+    pathWaveAmplitude.addEventListener('input', (e) => {
+        InflatableText.settings.pathWaveAmplitude = parseFloat(e.target.value);
+        pathWaveAmplitudeInput.value = e.target.value;
+        relayout();
+    });
+    pathWaveAmplitudeInput.addEventListener('input', (e) => {
+        InflatableText.settings.pathWaveAmplitude = parseFloat(e.target.value);
+        pathWaveAmplitude.value = e.target.value;
+        relayout();
+    });
+
+    // Wave frequency
+    const pathWaveFrequency = document.getElementById('path-wave-frequency');
+    const pathWaveFrequencyInput = document.getElementById('path-wave-frequency-input');
+    pathWaveFrequency.addEventListener('input', (e) => {
+        InflatableText.settings.pathWaveFrequency = parseFloat(e.target.value);
+        pathWaveFrequencyInput.value = e.target.value;
+        relayout();
+    });
+    pathWaveFrequencyInput.addEventListener('input', (e) => {
+        InflatableText.settings.pathWaveFrequency = parseFloat(e.target.value);
+        pathWaveFrequency.value = e.target.value;
+        relayout();
+    });
+
+    // SVG path upload
+    const pathSvg = document.getElementById('path-svg');
+    const pathSvgFilename = document.getElementById('path-svg-filename');
+    const pathSvgName = document.getElementById('path-svg-name');
+
+    pathSvg.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (file) {
+            // Show filename with 'x' button
+            pathSvgName.textContent = file.name;
+            pathSvgFilename.style.display = 'flex';
+
+            const reader = new FileReader();
+            reader.onload = (event) => {
+                InflatableText.settings.pathSvgData = event.target.result;
+                console.log('✅ SVG path loaded');
+                relayout();
+            };
+            reader.readAsText(file);
+        }
+    });
+
+    // Clear SVG path (x button)
+    const clearPathSvgBtn = document.getElementById('clear-path-svg-btn');
+    clearPathSvgBtn.addEventListener('click', (e) => {
+        e.preventDefault();
+        InflatableText.settings.pathSvgData = null;
+        pathSvg.value = ''; // Reset file input
+        pathSvgFilename.style.display = 'none'; // Hide filename display
+        relayout();
+    });
+}
+
+// The font size slider is ignored while the text is fitted to the box
+function updateFitControlsState() {
+    const fitting = getEditedSettings().fitToBox && InflatableText.settings.autoSpacing;
+    document.getElementById('font-size').disabled = fitting;
+    document.getElementById('font-size-input').disabled = fitting;
+}
+
+function updatePathControlsState() {
+    const shape = InflatableText.settings.pathShape;
+
+    // Only show the controls that apply to the selected shape
+    document.getElementById('path-arc-sweep-group').style.display = shape === 'arc' ? 'block' : 'none';
+    document.getElementById('path-wave-amplitude-group').style.display = shape === 'wave' ? 'block' : 'none';
+    document.getElementById('path-wave-frequency-group').style.display = shape === 'wave' ? 'block' : 'none';
+    document.getElementById('path-svg-group').style.display = shape === 'svg' ? 'block' : 'none';
+}
+
+// ========== TEXT BLOCKS UI ==========
+// Settings the panel's per-block controls edit: the active block's, or the global
+// settings in clock mode (clock digits don't belong to a text block)
+function getEditedSettings() {
+    if (window.ClockMode && window.ClockMode.isActive()) {
+        return InflatableText.settings;
+    }
+    return TextBlocks.getActive().settings;
+}
+
+function setupTextBlockControls() {
+    renderTextBlockList();
+
+    // Add block button
+    const addBlockBtn = document.getElementById('add-block-btn');
+    addBlockBtn.addEventListener('click', () => {
+        // New blocks start below the active one so they don't overlap it
+        const active = TextBlocks.getActive();
+        const block = TextBlocks.add();
+        block.offsetY = active.offsetY - active.settings.fontSize * 2;
+        syncTextBlockControls();
+    });
+
+    // Reorder buttons
+    document.getElementById('move-block-up-btn').addEventListener('click', () => {
+        TextBlocks.move(InflatableText.activeBlockIndex, -1);
+        renderTextBlockList();
+    });
+    document.getElementById('move-block-down-btn').addEventListener('click', () => {
+        TextBlocks.move(InflatableText.activeBlockIndex, 1);
+        renderTextBlockList();
+    });
+
+    // Delete block button
+    document.getElementById('delete-block-btn').addEventListener('click', () => {
+        TextBlocks.remove(InflatableText.activeBlockIndex);
+        syncTextBlockControls();
+    });
+
+    // Block offset X
+    const blockOffsetX = document.getElementById('block-offset-x');
+    const blockOffsetXInput = document.getElementById('block-offset-x-input');
+    blockOffsetX.addEventListener('input', (e) => {
+        TextBlocks.getActive().offsetX = parseFloat(e.target.value);
+        blockOffsetXInput.value = e.target.value;
+        updateBlockLetters(TextBlocks.getActive());
+    });
+    blockOffsetXInput.addEventListener('input', (e) => {
+        TextBlocks.getActive().offsetX = parseFloat(e.target.value);
+        blockOffsetX.value = e.target.value;
+        updateBlockLetters(TextBlocks.getActive());
+    });
+
+    // Block offset Y
+    const blockOffsetY = document.getElementById('block-offset-y');
+    const blockOffsetYInput = document.getElementById('block-offset-y-input');
+    blockOffsetY.addEventListener('input', (e) => {
+        TextBlocks.getActive().offsetY = parseFloat(e.target.value);
+        blockOffsetYInput.value = e.target.value;
+        updateBlockLetters(TextBlocks.getActive());
+    });
+    blockOffsetYInput.addEventListener('input', (e) => {
+        TextBlocks.getActive().offsetY = parseFloat(e.target.value);
+        blockOffsetY.value = e.target.value;
+        updateBlockLetters(TextBlocks.getActive());
+    });
+}
+
+function renderTextBlockList() {
+    const blockList = document.getElementById('text-block-list');
+    blockList.innerHTML = '';
+
+    InflatableText.textBlocks.forEach((block, index) => {
+        const blockBtn = document.createElement('button');
+        const preview = RichText.parse(block.text).text.replace(/\s+/g, ' ').trim();
+        blockBtn.textContent = preview ? `${block.name}: ${preview}` : block.name;
+        blockBtn.className = 'chatooly-button';
+        blockBtn.style.display = 'block';
+        blockBtn.style.width = '100%';
+        blockBtn.style.marginBottom = '6px';
+        blockBtn.style.textAlign = 'left';
+        blockBtn.style.overflow = 'hidden';
+        blockBtn.style.textOverflow = 'ellipsis';
+        blockBtn.style.whiteSpace = 'nowrap';
+        blockBtn.style.opacity = index === InflatableText.activeBlockIndex ? '1' : '0.6';
+        blockBtn.addEventListener('click', () => {
+            TextBlocks.select(index);
+            syncTextBlockControls();
+        });
+
+        blockList.appendChild(blockBtn);
+    });
+}
+
+// Load the active block's values into the panel controls
+function syncTextBlockControls() {
+    const block = TextBlocks.getActive();
+    const settings = block.settings;
+
+    document.getElementById('text-input').value = block.text;
+
+    const setPair = (id, value) => {
+        document.getElementById(id).value = value;
+        document.getElementById(id + '-input').value = value;
+    };
+    setPair('block-offset-x', block.offsetX);
+    setPair('block-offset-y', block.offsetY);
+    setPair('font-size', settings.fontSize);
+    setPair('gravity', settings.gravity);
+    setPair('air-drag', settings.airDrag);
+    setPair('bounciness', settings.bounciness);
+    setPair('collider-size', settings.colliderSize);
+    setPair('angular-damping', settings.angularDamping);
+    setPair('upright-strength', settings.uprightStrength);
+    document.getElementById('balloon-fill').value = settings.balloonFill;
+    document.getElementById('gravity-group').style.display = settings.balloonFill === 'custom' ? 'block' : 'none';
+    document.getElementById('collider-shape').value = settings.colliderShape;
+    document.getElementById('collider-size-group').style.display = settings.colliderShape === 'circle' ? 'block' : 'none';
+
+    document.getElementById('fit-to-box').checked = settings.fitToBox;
+    updateFitControlsState();
+
+    document.getElementById('material-preset').value = settings.selectedMaterial;
+    document.getElementById('matcap-upload-group').style.display = settings.selectedMaterial === 'custom-matcap' ? 'block' : 'none';
+
+    renderTextBlockList();
+    renderColorPalette();
+    updateMissingGlyphsStatus();
+}
+
+// ========== MISSING GLYPHS STATUS ==========
+// List characters no font in the chain can draw (they show as "?")
+function updateMissingGlyphsStatus() {
+    const text = InflatableText.textBlocks.map(block => TextBlocks.getPlainText(block)).join('');
+    const missing = FontChain.reportMissing(text);
+    const status = document.getElementById('missing-glyphs');
+
+    status.textContent = missing.length > 0 ? `No glyph in any font for: ${missing.join(' ')}` : '';
+    status.style.display = missing.length > 0 ? 'block' : 'none';
+}
+
+// ========== KERNING STATUS ==========
+// Say when the primary font has no kerning pairs, so spacing like "AV" isn't mistaken for a layout bug
+function updateKerningStatus() {
+    const status = document.getElementById('kerning-status');
+    const hasKerning = FontChain.hasKerning(InflatableText.font);
+
+    status.textContent = hasKerning ? '' : `${FONT_CHAIN[0].name} has no kerning data, so its letters are spaced by advance width only`;
+    status.style.display = hasKerning ? 'none' : 'block';
+}
+
+// ========== POINTER INTERACTION CONTROLS ==========
+function setupPointerControls() {
+    const pointerEnabled = document.getElementById('pointer-enabled');
+    const pointerSettingsGroup = document.getElementById('pointer-settings-group');
+    pointerEnabled.addEventListener('change', (e) => {
+        InflatableText.settings.pointerEnabled = e.target.checked;
+        pointerSettingsGroup.style.display = e.target.checked ? 'block' : 'none';
+        if (!e.target.checked) PointerInteraction.release(); // Drop a held letter
+    });
+
+    // Grab stiffness
+    const grabStiffness = document.getElementById('grab-stiffness');
+    const grabStiffnessInput = document.getElementById('grab-stiffness-input');
+    grabStiffness.addEventListener('input', (e) => {
+        InflatableText.settings.grabStiffness = parseFloat(e.target.value);
+        grabStiffnessInput.value = e.target.value;
+    });
+    grabStiffnessInput.addEventListener('input', (e) => {
+        InflatableText.settings.grabStiffness = parseFloat(e.target.value);
+        grabStiffness.value = e.target.value;
+    });
+
+    // Fling strength
+    const flingStrength = document.getElementById('fling-strength');
+    const flingStrengthInput = document.getElementById('fling-strength-input');
+    flingStrength.addEventListener('input', (e) => {
+        InflatableText.settings.flingStrength = parseFloat(e.target.value);
+        flingStrengthInput.value = e.target.value;
+    });
+    flingStrengthInput.addEventListener('input', (e) => {
+        InflatableText.settings.flingStrength = parseFloat(e.target.value);
+        flingStrength.value = e.target.value;
+    });
+
+    // Poke strength
+    const pokeStrength = document.getElementById('poke-strength');
+    const pokeStrengthInput = document.getElementById('poke-strength-input');
+    pokeStrength.addEventListener('input', (e) => {
+        InflatableText.settings.pokeStrength = parseFloat(e.target.value);
+        pokeStrengthInput.value = e.target.value;
+    });
+    pokeStrengthInput.addEventListener('input', (e) => {
+        InflatableText.settings.pokeStrength = parseFloat(e.target.value);
+        pokeStrength.value = e.target.value;
+    });
+
+    // Repulsion around the pointer (0 = off)
+    const repelRadius = document.getElementById('repel-radius');
+    const repelRadiusInput = document.getElementById('repel-radius-input');
+    repelRadius.addEventListener('input', (e) => {
+        InflatableText.settings.repelRadius = parseFloat(e.target.value);
+        repelRadiusInput.value = e.target.value;
+    });
+    repelRadiusInput.addEventListener('input', (e) => {
+        InflatableText.settings.repelRadius = parseFloat(e.target.value);
+        repelRadius.value = e.target.value;
+    });
+
+    // Repel strength
+    const repelStrength = document.getElementById('repel-strength');
+    const repelStrengthInput = document.getElementById('repel-strength-input');
+    repelStrength.addEventListener('input', (e) => {
+        InflatableText.settings.repelStrength = parseFloat(e.target.value);
+        repelStrengthInput.value = e.target.value;
+    });
+    repelStrengthInput.addEventListener('input', (e) => {
+        InflatableText.settings.repelStrength = parseFloat(e.target.value);
+        repelStrength.value = e.target.value;
+    });
+}
+
+// ========== FORCE FIELD CONTROLS ==========
+function setupForceFieldControls() {
+    renderForceFieldList();
+
+    // Add a field of the selected type
+    document.getElementById('add-field-btn').addEventListener('click', () => {
+        ForceFields.add(document.getElementById('force-field-type').value);
+        syncForceFieldControls();
+    });
+
+    // Delete the selected field
+    document.getElementById('delete-field-btn').addEventListener('click', () => {
+        ForceFields.remove(InflatableText.activeFieldIndex);
+        syncForceFieldControls();
+    });
+
+    document.getElementById('field-enabled').addEventListener('change', (e) => {
+        ForceFields.getActive().enabled = e.target.checked;
+    });
+
+    document.getElementById('field-falloff').addEventListener('change', (e) => {
+        ForceFields.getActive().falloff = e.target.value;
+    });
+
+    // Position
+    const fieldX = document.getElementById('field-x');
+    const fieldXInput = document.getElementById('field-x-input');
+    fieldX.addEventListener('input', (e) => {
+        ForceFields.getActive().x = parseFloat(e.target.value);
+        fieldXInput.value = e.target.value;
+    });
+    fieldXInput.addEventListener('input', (e) => {
+        ForceFields.getActive().x = parseFloat(e.target.value);
+        fieldX.value = e.target.value;
+    });
+
+    const fieldY = document.getElementById('field-y');
+    const fieldYInput = document.getElementById('field-y-input');
+    fieldY.addEventListener('input', (e) => {
+        ForceFields.getActive().y = parseFloat(e.target.value);
+        fieldYInput.value = e.target.value;
+    });
+    fieldYInput.addEventListener('input', (e) => {
+        ForceFields.getActive().y = parseFloat(e.target.value);
+        fieldY.value = e.target.value;
+    });
+
+    const fieldZ = document.getElementById('field-z');
+    const fieldZInput = document.getElementById('field-z-input');
+    fieldZ.addEventListener('input', (e) => {
+        ForceFields.getActive().z = parseFloat(e.target.value);
+        fieldZInput.value = e.target.value;
+    });
+    fieldZInput.addEventListener('input', (e) => {
+        ForceFields.getActive().z = parseFloat(e.target.value);
+        fieldZ.value = e.target.value;
+    });
+
+    // Strength (negative reverses wind, spins vortices the other way and makes attractors repel)
+    const fieldStrength = document.getElementById('field-strength');
+    const fieldStrengthInput = document.getElementById('field-strength-input');
+    fieldStrength.addEventListener('input', (e) => {
+        ForceFields.getActive().strength = parseFloat(e.target.value);
+        fieldStrengthInput.value = e.target.value;
+    });
+    fieldStrengthInput.addEventListener('input', (e) => {
+        ForceFields.getActive().strength = parseFloat(e.target.value);
+        fieldStrength.value = e.target.value;
+    });
+
+    // Falloff radius (0 = everywhere)
+    const fieldRadius = document.getElementById('field-radius');
+    const fieldRadiusInput = document.getElementById('field-radius-input');
+    fieldRadius.addEventListener('input', (e) => {
+        ForceFields.getActive().radius = parseFloat(e.target.value);
+        fieldRadiusInput.value = e.target.value;
+    });
+    fieldRadiusInput.addEventListener('input', (e) => {
+        ForceFields.getActive().radius = parseFloat(e.target.value);
+        fieldRadius.value = e.target.value;
+    });
+
+    // Wind direction
+    const fieldDirection = document.getElementById('field-direction');
+    const fieldDirectionInput = document.getElementById('field-direction-input');
+    fieldDirection.addEventListener('input', (e) => {
+        ForceFields.getActive().direction = parseFloat(e.target.value);
+        fieldDirectionInput.value = e.target.value;
+    });
+    fieldDirectionInput.addEventListener('input', (e) => {
+        ForceFields.getActive().direction = parseFloat(e.target.value);
+        fieldDirection.value = e.target.value;
+    });
+
+    // Gusts
+    const fieldGust = document.getElementById('field-gust');
+    const fieldGustInput = document.getElementById('field-gust-input');
+    fieldGust.addEventListener('input', (e) => {
+        ForceFields.getActive().gust = parseFloat(e.target.value);
+        fieldGustInput.value = e.target.value;
+    });
+    fieldGustInput.addEventListener('input', (e) => {
+        ForceFields.getActive().gust = parseFloat(e.target.value);
+        fieldGust.value = e.target.value;
+    });
+
+    // Gust frequency
+    const fieldGustFrequency = document.getElementById('field-gust-frequency');
+    const fieldGustFrequencyInput = document.getElementById('field-gust-frequency-input');
+    fieldGustFrequency.addEventListener('input', (e) => {
+        ForceFields.getActive().gustFrequency = parseFloat(e.target.value);
+        fieldGustFrequencyInput.value = e.target.value;
+    });
+    fieldGustFrequencyInput.addEventListener('input', (e) => {
+        ForceFields.getActive().gustFrequency = parseFloat(e.target.value);
+        fieldGustFrequency.value = e.target.value;
+    });
+
+    // Turbulence eddy scale
+    const fieldNoiseScale = document.getElementById('field-noise-scale');
+    const fieldNoiseScaleInput = document.getElementById('field-noise-scale-input');
+    fieldNoiseScale.addEventListener('input', (e) => {
+        ForceFields.getActive().noiseScale = parseFloat(e.target.value);
+        fieldNoiseScaleInput.value = e.target.value;
+    });
+    fieldNoiseScaleInput.addEventListener('input', (e) => {
+        ForceFields.getActive().noiseScale = parseFloat(e.target.value);
+        fieldNoiseScale.value = e.target.value;
+    });
+
+    // Turbulence eddy speed
+    const fieldNoiseSpeed = document.getElementById('field-noise-speed');
+    const fieldNoiseSpeedInput = document.getElementById('field-noise-speed-input');
+    fieldNoiseSpeed.addEventListener('input', (e) => {
+        ForceFields.getActive().noiseSpeed = parseFloat(e.target.value);
+        fieldNoiseSpeedInput.value = e.target.value;
+    });
+    fieldNoiseSpeedInput.addEventListener('input', (e) => {
+        ForceFields.getActive().noiseSpeed = parseFloat(e.target.value);
+        fieldNoiseSpeed.value = e.target.value;
+    });
+
+    // Keyframes store the position, direction, strength and radius above
+    document.getElementById('add-keyframe-btn').addEventListener('click', () => {
+        const time = parseFloat(document.getElementById('field-keyframe-time').value) || 0;
+        ForceFields.addKeyframe(ForceFields.getActive(), time);
+        updateKeyframeStatus();
+    });
+    document.getElementById('clear-keyframes-btn').addEventListener('click', () => {
+        ForceFields.getActive().keyframes = [];
+        updateKeyframeStatus();
+    });
+}
+
+// Build the list of field buttons (clicking one selects it)
+function renderForceFieldList() {
+    const fieldList = document.getElementById('force-field-list');
+    fieldList.innerHTML = '';
+
+    InflatableText.forceFields.forEach((field, index) => {
+        const fieldBtn = document.createElement('button');
+        fieldBtn.textContent = field.name;
+        fieldBtn.className = 'chatooly-button';
+        fieldBtn.style.display = 'block';
+        fieldBtn.style.width = '100%';
+        fieldBtn.style.marginBottom = '6px';
+        fieldBtn.style.textAlign = 'left';
+        fieldBtn.style.opacity = index === InflatableText.activeFieldIndex ? '1' : '0.6';
+        fieldBtn.addEventListener('click', () => {
+            ForceFields.select(index);
+            syncForceFieldControls();
+        });
+
+        fieldList.appendChild(fieldBtn);
+    });
+}
+
+// Load the active field's values into the panel controls
+function syncForceFieldControls() {
+    renderForceFieldList();
+
+    const field = ForceFields.getActive();
+    document.getElementById('field-settings-group').style.display = field ? 'block' : 'none';
+    if (!field) return;
+
+    const setPair = (id, value) => {
+        document.getElementById(id).value = value;
+        document.getElementById(id + '-input').value = value;
+    };
+    setPair('field-x', field.x);
+    setPair('field-y', field.y);
+    setPair('field-z', field.z);
+    setPair('field-strength', field.strength);
+    setPair('field-radius', field.radius);
+    setPair('field-direction', field.direction);
+    setPair('field-gust', field.gust);
+    setPair('field-gust-frequency', field.gustFrequency);
+    setPair('field-noise-scale', field.noiseScale);
+    setPair('field-noise-speed', field.noiseSpeed);
+    document.getElementById('field-enabled').checked = field.enabled;
+    document.getElementById('field-falloff').value = field.falloff;
+
+    // Direction and gusts only apply to wind, eddies only to turbulence
+    document.getElementById('field-wind-group').style.display = field.type === 'wind' ? 'block' : 'none';
+    document.getElementById('field-turbulence-group').style.display = field.type === 'turbulence' ? 'block' : 'none';
+
+    updateKeyframeStatus();
+}
+
+function updateKeyframeStatus() {
+    const keyframes = ForceFields.getActive().keyframes;
+    const status = document.getElementById('field-keyframe-status');
+
+    if (keyframes.length === 0) {
+        status.textContent = 'No keyframes';
+        return;
+    }
+    const duration = keyframes[keyframes.length - 1].time;
+    status.textContent = `${keyframes.length} keyframe${keyframes.length === 1 ? '' : 's'} at ${keyframes.map(keyframe => keyframe.time + 's').join(', ')}` +
+        ` · loops every ${duration}s, jumping back to the first keyframe (keyframes override the sliders above)`;
+}
+
+// ========== PHYSICS CONTROLS ==========
+function setupPhysicsControls() {
+    // Fill (gas and water fills lift or sink letters by themselves, so gravity only applies to custom)
+    const balloonFill = document.getElementById('balloon-fill');
+    balloonFill.addEventListener('change', (e) => {
+        getEditedSettings().balloonFill = e.target.value;
+        document.getElementById('gravity-group').style.display = e.target.value === 'custom' ? 'block' : 'none';
+    });
+
+    // Gravity
+    const gravity = document.getElementById('gravity');
+    const gravityInput = document.getElementById('gravity-input');
+    gravity.addEventListener('input', (e) => {
+        getEditedSettings().gravity = parseFloat(e.target.value);
+        gravityInput.value = e.target.value;
+    });
+    gravityInput.addEventListener('input', (e) => {
+        getEditedSettings().gravity = parseFloat(e.target.value);
+        gravity.value = e.target.value;
+    });
+
+    // Air drag
+    const airDrag = document.getElementById('air-drag');
+    const airDragInput = document.getElementById('air-drag-input');
+    airDrag.addEventListener('input', (e) => {
+        getEditedSettings().airDrag = parseFloat(e.target.value);
+        airDragInput.value = e.target.value;
+    });
+    airDragInput.addEventListener('input', (e) => {
+        getEditedSettings().airDrag = parseFloat(e.target.value);
+        airDrag.value = e.target.value;
+    });
+
+    // Bounciness
+    const bounciness = document.getElementById('bounciness');
+    const bouncinessInput = document.getElementById('bounciness-input');
+    bounciness.addEventListener('input', (e) => {
+        getEditedSettings().bounciness = parseFloat(e.target.value);
+        bouncinessInput.value = e.target.value;
+    });
+    bouncinessInput.addEventListener('input', (e) => {
+        getEditedSettings().bounciness = parseFloat(e.target.value);
+        bounciness.value = e.target.value;
+    });
+
+    // Collider shape (the size slider only applies to circles)
+    const colliderShape = document.getElementById('collider-shape');
+    colliderShape.addEventListener('change', (e) => {
+        getEditedSettings().colliderShape = e.target.value;
+        document.getElementById('collider-size-group').style.display = e.target.value === 'circle' ? 'block' : 'none';
+    });
+
+    // Collider size
+    const colliderSize = document.getElementById('collider-size');
+    const colliderSizeInput = document.getElementById('collider-size-input');
+    colliderSize.addEventListener('input', (e) => {
+        getEditedSettings().colliderSize = parseFloat(e.target.value);
+        colliderSizeInput.value = e.target.value;
+    });
+    colliderSizeInput.addEventListener('input', (e) => {
+        getEditedSettings().colliderSize = parseFloat(e.target.value);
+        colliderSize.value = e.target.value;
+    });
+
+    // Spin damping
+    const angularDamping = document.getElementById('angular-damping');
+    const angularDampingInput = document.getElementById('angular-damping-input');
+    angularDamping.addEventListener('input', (e) => {
+        getEditedSettings().angularDamping = parseFloat(e.target.value);
+        angularDampingInput.value = e.target.value;
+    });
+    angularDampingInput.addEventListener('input', (e) => {
+        getEditedSettings().angularDamping = parseFloat(e.target.value);
+        angularDamping.value = e.target.value;
+    });
+
+    // Keep upright
+    const uprightStrength = document.getElementById('upright-strength');
+    const uprightStrengthInput = document.getElementById('upright-strength-input');
+    uprightStrength.addEventListener('input', (e) => {
+        getEditedSettings().uprightStrength = parseFloat(e.target.value);
+        uprightStrengthInput.value = e.target.value;
+    });
+    uprightStrengthInput.addEventListener('input', (e) => {
+        getEditedSettings().uprightStrength = parseFloat(e.target.value);
+        uprightStrength.value = e.target.value;
+    });
+
+    // Balloon strings (shared by every text block)
+    const stringsEnabled = document.getElementById('strings-enabled');
+    const stringSettingsGroup = document.getElementById('string-settings-group');
+    stringsEnabled.addEventListener('change', (e) => {
+        InflatableText.settings.stringsEnabled = e.target.checked;
+        stringSettingsGroup.style.display = e.target.checked ? 'block' : 'none';
+    });
+
+    const stringAnchor = document.getElementById('string-anchor');
+    stringAnchor.addEventListener('change', (e) => {
+        InflatableText.settings.stringAnchor = e.target.value;
+        BalloonStrings.retieAll(); // Re-tie strings to the new anchors
+    });
+
+    // String length (strings are re-measured from each letter's slot)
+    const stringLength = document.getElementById('string-length');
+    const stringLengthInput = document.getElementById('string-length-input');
+    stringLength.addEventListener('input', (e) => {
+        InflatableText.settings.stringLength = parseFloat(e.target.value);
+        stringLengthInput.value = e.target.value;
+        BalloonStrings.retieAll();
+    });
+    stringLengthInput.addEventListener('input', (e) => {
+        InflatableText.settings.stringLength = parseFloat(e.target.value);
+        stringLength.value = e.target.value;
+        BalloonStrings.retieAll();
+    });
+
+    const stringColor = document.getElementById('string-color');
+    stringColor.addEventListener('input', (e) => {
+        InflatableText.settings.stringColor = e.target.value;
+        if (BalloonStrings.material) {
+            BalloonStrings.material.color.set(e.target.value);
+        }
+    });
+}
+
+// ========== LEVEL OF DETAIL CONTROLS ==========
+function setupLodControls() {
+    const lodEnabled = document.getElementById('lod-enabled');
+    lodEnabled.addEventListener('change', (e) => {
+        InflatableText.settings.lodEnabled = e.target.checked;
+    });
+
+    // Target FPS
+    const lodTargetFps = document.getElementById('lod-target-fps');
+    const lodTargetFpsInput = document.getElementById('lod-target-fps-input');
+    lodTargetFps.addEventListener('input', (e) => {
+        InflatableText.settings.lodTargetFps = parseFloat(e.target.value);
+        lodTargetFpsInput.value = e.target.value;
+    });
+    lodTargetFpsInput.addEventListener('input', (e) => {
+        InflatableText.settings.lodTargetFps = parseFloat(e.target.value);
+        lodTargetFps.value = e.target.value;
+    });
+
+    // Letters per level, the measured frame rate and collision time
+    setInterval(updatePerformanceStatus, 500);
+}
+
+function updatePerformanceStatus() {
+    const stats = LevelOfDetail.getStats();
+    const fps = Math.round(1000 / stats.frameTime);
+    document.getElementById('lod-stats').textContent =
+        `Letters per detail level: ${stats.counts.join(' / ')} · ${fps} fps`;
+    document.getElementById('collision-stats').textContent =
+        `Collisions: ${Collisions.averageTime.toFixed(2)} ms per frame`;
+}
+
+// ========== COLLISION BENCHMARK ==========
+function setupCollisionBenchmark() {
+    const benchmarkBtn = document.getElementById('collision-benchmark-btn');
+    const benchmarkResults = document.getElementById('collision-benchmark-results');
+
+    benchmarkBtn.addEventListener('click', () => {
+        benchmarkBtn.disabled = true;
+        benchmarkResults.textContent = 'Running...';
+        benchmarkResults.style.display = 'block';
+
+        Collisions.benchmark(results => {
+            const lines = results.map(result =>
+                `${String(result.letters).padStart(5)} letters: grid ${result.grid.toFixed(2)} ms · all pairs ${result.allPairs.toFixed(2)} ms`
+            );
+            benchmarkResults.textContent = lines.join('\n');
+            benchmarkBtn.disabled = false;
+        });
+    });
+}
+
 // ========== COLOR PALETTE UI ==========
 function setupColorPalette() {
     renderColorPalette();
@@ -900,7 +1653,7 @@ function setupColorPalette() {
     addColorBtn.addEventListener('click', () => {
         // Add a random color
         const randomColor = '#' + Math.floor(Math.random()*16777215).toString(16).padStart(6, '0');
-        InflatableText.settings.letterColors.push(randomColor);
+        getEditedSettings().letterColors.push(randomColor);
         renderColorPalette();
         updateAllLetterColors();
     });
@@ -917,7 +1670,7 @@ function renderColorPalette() {
     colorsContainer.style.gap = '8px';
     colorsContainer.style.marginBottom = '10px';
 
-    InflatableText.settings.letterColors.forEach((color, index) => {
+    getEditedSettings().letterColors.forEach((color, index) => {
         const colorItem = document.createElement('div');
         colorItem.style.display = 'flex';
         colorItem.style.flexDirection = 'column';
@@ -934,7 +1687,7 @@ function renderColorPalette() {
         colorInput.style.borderRadius = '4px';
         colorInput.style.cursor = 'pointer';
         colorInput.addEventListener('input', (e) => {
-            InflatableText.settings.letterColors[index] = e.target.value;
+            getEditedSettings().letterColors[index] = e.target.value;
             updateAllLetterColors();
         });
 
@@ -947,8 +1700,8 @@ function renderColorPalette() {
         removeBtn.style.fontSize = '14px';
         removeBtn.style.lineHeight = '1';
         removeBtn.addEventListener('click', () => {
-            if (InflatableText.settings.letterColors.length > 1) {
-                InflatableText.settings.letterColors.splice(index, 1);
+            if (getEditedSettings().letterColors.length > 1) {
+                getEditedSettings().letterColors.splice(index, 1);
                 renderColorPalette();
                 updateAllLetterColors();
             }
@@ -963,10 +1716,11 @@ function renderColorPalette() {
 }
 
 function updateAllLetterColors() {
-    InflatableText.letterMeshes.forEach((letterObj, index) => {
+    InflatableText.letterMeshes.forEach(letterObj => {
         if (letterObj.mesh && letterObj.mesh.material) {
-            const palette = InflatableText.settings.letterColors;
-            const colorHex = palette[index % palette.length];
+            const palette = letterObj.settings.letterColors;
+            const styleColor = letterObj.style && letterObj.style.color; // [color=] markup wins over the palette
+            const colorHex = styleColor || palette[letterObj.colorIndex % palette.length];
             letterObj.mesh.material.color.set(colorHex);
         }
     });
@@ -996,7 +1750,7 @@ function setupMaterialControls() {
 
     if (materialPresetSelect) {
         materialPresetSelect.addEventListener('change', (e) => {
-            InflatableText.settings.selectedMaterial = e.target.value;
+            getEditedSettings().selectedMaterial = e.target.value;
             console.log(`🎨 Material changed to: ${e.target.value}`);
 
             // Show/hide matcap upload controls
@@ -1029,10 +1783,8 @@ function setupMaterialControls() {
                         InflatableText.settings.customMatcapTexture = texture;
                         console.log('✅ Custom matcap texture loaded');
 
-                        // Apply to all letters if custom-matcap is selected
-                        if (InflatableText.settings.selectedMaterial === 'custom-matcap') {
-                            Materials.applyMaterialToAllLetters();
-                        }
+                        // Reapply so letters using custom-matcap pick it up
+                        Materials.applyMaterialToAllLetters();
                     });
                 };
                 reader.readAsDataURL(file);
@@ -1066,9 +1818,7 @@ function setupMaterialControls() {
             console.log('🗑️ Custom matcap texture cleared');
 
             // Reapply materials
-            if (InflatableText.settings.selectedMaterial === 'custom-matcap') {
-                Materials.applyMaterialToAllLetters();
-            }
+            Materials.applyMaterialToAllLetters();
         });
     }
 }
@@ -0,0 +1,57 @@
+// Bidi reordering checks - run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// js/bidi.js is a browser script: run it with just the globals it reads
+const context = { InflatableText: { settings: { textDirection: 'auto' } } };
+context.window = context;
+vm.createContext(context);
+vm.runInContext(fs.readFileSync(path.join(__dirname, '../js/bidi.js'), 'utf8'), context);
+const Bidi = context.Bidi;
+
+test('Arabic-Indic digits (AN) keep their order in an LTR line', () => {
+    assert.strictEqual(Bidi.reorderLine('ab ١٢٣', 'ltr').text, 'ab ١٢٣');
+    assert.deepStrictEqual(Array.from(Bidi.reorderLine('ab ١٢٣', 'ltr').indices), [0, 1, 2, 3, 4, 5]);
+});
+
+test('European digits (EN) keep their order in an LTR line', () => {
+    assert.strictEqual(Bidi.reorderLine('ab 123', 'ltr').text, 'ab 123');
+});
+
+test('European digits after an RTL word stay left to right inside the RTL run', () => {
+    assert.strictEqual(Bidi.reorderLine('ab שלום 123', 'ltr').text, 'ab 123 םולש');
+});
+
+test('Arabic-Indic digits after an Arabic word stay left to right inside the RTL run', () => {
+    assert.strictEqual(Bidi.reorderLine('ab سلام ١٢٣', 'ltr').text, 'ab ١٢٣ مالس');
+});
+
+test('Numbers in an RTL paragraph read left to right', () => {
+    assert.strictEqual(Bidi.reorderLine('שלום 123', 'rtl').text, '123 םולש');
+    assert.strictEqual(Bidi.reorderLine('سلام ١٢٣', 'rtl').text, '١٢٣ مالس');
+});
+
+test('Brackets mirror inside RTL runs', () => {
+    assert.strictEqual(Bidi.reorderLine('(שלום)', 'rtl').text, '(םולש)');
+});
+
+test('Emoji keep every character in LTR and RTL lines', () => {
+    assert.strictEqual(Bidi.reorderLine('🎈abc', 'ltr').text, '🎈abc');
+    assert.deepStrictEqual(Array.from(Bidi.reorderLine('🎈abc', 'ltr').indices), [0, 1, 2, 3, 4]);
+    assert.strictEqual(Bidi.shapeArabic('🎈abc', () => true).text, '🎈abc');
+    assert.strictEqual(Bidi.reorderLine('ab 🎈 שלום', 'ltr').text, 'ab 🎈 םולש');
+});
+
+test('Emoji inside an RTL run stay whole when the run is reversed', () => {
+    assert.strictEqual(Bidi.reorderLine('שלום 🎈 עולם', 'rtl').text, 'םלוע 🎈 םולש');
+    assert.strictEqual(Bidi.reorderLine('ab שלום🎈עולם', 'ltr').text, 'ab םלוע🎈םולש');
+});
+
+test('Arabic shaping keeps letters after an emoji', () => {
+    const shaped = Bidi.shapeArabic('🎈شمس', () => true);
+    assert.strictEqual(shaped.text, '🎈\uFEB7\uFEE4\uFEB2'); // Initial, medial and final forms
+    assert.deepStrictEqual(Array.from(shaped.indices), [0, 1, 2, 3, 4]);
+});
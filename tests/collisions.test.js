@@ -0,0 +1,67 @@
+// Convex hulls and separating axis contacts - run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { Collisions } = loadScripts(['js/collisions.js'], { InflatableText: { settings: {} } });
+
+const approx = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} vs ${expected}`);
+const plain = (points) => Array.from(points, point => ({ x: point.x, y: point.y }));
+
+// A square glyph collider centred on (x, y)
+function squareBody(x, y, halfSize) {
+    const points = [
+        { x: x - halfSize, y: y - halfSize }, { x: x + halfSize, y: y - halfSize },
+        { x: x + halfSize, y: y + halfSize }, { x: x - halfSize, y: y + halfSize }
+    ];
+    return { position: { x: x, y: y }, collider: { points: points }, collisionRadius: halfSize * Math.SQRT2 };
+}
+
+test('Convex hull drops interior and collinear points, counter-clockwise', () => {
+    const hull = Collisions.computeConvexHull([
+        { x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 2 },
+        { x: 1, y: 1 }, { x: 0, y: 2 }, { x: 0.5, y: 1.5 }
+    ]);
+    assert.deepStrictEqual(plain(hull), [{ x: 0, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 2 }, { x: 0, y: 2 }]);
+});
+
+test('Offsetting a polygon moves every edge out by the distance', () => {
+    const square = [{ x: -1, y: -1 }, { x: 1, y: -1 }, { x: 1, y: 1 }, { x: -1, y: 1 }];
+    const grown = Collisions.offsetPolygon(square, 0.5);
+    grown.forEach(point => {
+        approx(Math.abs(point.x), 1.5, 'x');
+        approx(Math.abs(point.y), 1.5, 'y');
+    });
+});
+
+test('Overlapping squares touch along the shallowest axis, normal from A to B', () => {
+    const contact = Collisions.getPolygonContact(squareBody(0, 0, 1), squareBody(1.5, 0.2, 1));
+    approx(contact.depth, 0.5, 'depth');
+    approx(contact.nx, 1, 'nx');
+    approx(contact.ny, 0, 'ny');
+
+    const flipped = Collisions.getPolygonContact(squareBody(1.5, 0.2, 1), squareBody(0, 0, 1));
+    approx(flipped.nx, -1, 'flipped nx');
+});
+
+test('Squares inside each other\'s bounding circles but apart on an axis do not touch', () => {
+    // Corner to corner: the circles overlap, the squares don't
+    assert.strictEqual(Collisions.getPolygonContact(squareBody(0, 0, 1), squareBody(2.2, 2.2, 1)), null);
+});
+
+test('Letters further apart than their radii are skipped', () => {
+    assert.strictEqual(Collisions.getPolygonContact(squareBody(0, 0, 1), squareBody(10, 0, 1)), null);
+});
+
+test('A circle collider meets a glyph collider as a polygon', () => {
+    const circle = { position: { x: 1.8, y: 0 }, collider: null, collisionRadius: 1 };
+    const contact = Collisions.getPolygonContact(squareBody(0, 0, 1), circle);
+    assert.ok(contact);
+    approx(contact.nx, 1, 'nx');
+    approx(contact.depth, 0.2, 'depth');
+});
+
+test('Polygon inertia matches a solid square', () => {
+    const square = [{ x: -1, y: -1 }, { x: 1, y: -1 }, { x: 1, y: 1 }, { x: -1, y: 1 }];
+    approx(Collisions.getPolygonInertia(square), 2 / 3, 'inertia per unit mass'); // (w² + h²) / 12
+});
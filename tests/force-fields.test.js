@@ -0,0 +1,87 @@
+// Force field falloff and keyframes - run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { ForceFields } = loadScripts(['js/force-fields.js'], { InflatableText: { forceFields: [], activeFieldIndex: 0 } });
+
+const approx = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} vs ${expected}`);
+
+// A wind field keyframed at the given times, with strength = time and x = 10 * time
+function keyframedField(times) {
+    const field = ForceFields.create('wind');
+    times.forEach(time => {
+        field.strength = time;
+        field.x = time * 10;
+        ForceFields.addKeyframe(field, time);
+    });
+    return field;
+}
+
+test('A field without a radius reaches everywhere', () => {
+    ['constant', 'linear', 'smooth', 'inverse-square'].forEach(falloff => {
+        assert.strictEqual(ForceFields.getFalloff(1000, 0, falloff), 1, falloff);
+    });
+});
+
+test('Falloff curves fade from the centre to the radius', () => {
+    assert.strictEqual(ForceFields.getFalloff(5, 10, 'constant'), 1);
+    approx(ForceFields.getFalloff(5, 10, 'linear'), 0.5, 'linear');
+    approx(ForceFields.getFalloff(5, 10, 'smooth'), 0.5, 'smooth');
+    approx(ForceFields.getFalloff(2.5, 10, 'smooth'), 0.84375, 'smooth');
+    ['constant', 'linear', 'smooth'].forEach(falloff => {
+        assert.strictEqual(ForceFields.getFalloff(10, 10, falloff), 0, falloff);
+        assert.strictEqual(ForceFields.getFalloff(0, 10, falloff), 1, falloff);
+    });
+});
+
+test('Inverse square falloff eases off past the radius', () => {
+    approx(ForceFields.getFalloff(10, 10, 'inverse-square'), 0.5, 'at radius');
+    approx(ForceFields.getFalloff(20, 10, 'inverse-square'), 0.2, 'twice the radius');
+});
+
+test('A field without keyframes keeps its own values', () => {
+    const field = ForceFields.create('wind');
+    field.strength = 0.5;
+    assert.strictEqual(ForceFields.getValues(field, 3).strength, 0.5);
+});
+
+test('Keyframes blend linearly between their times', () => {
+    const field = keyframedField([1, 3]);
+    approx(ForceFields.getValues(field, 2).strength, 2, 'strength');
+    approx(ForceFields.getValues(field, 2.5).x, 25, 'x');
+});
+
+test('Values hold at the first keyframe before its time', () => {
+    const field = keyframedField([1, 3]);
+    approx(ForceFields.getValues(field, 0.5).strength, 1, 'strength');
+});
+
+test('Keyframes loop every last-keyframe-time seconds', () => {
+    const field = keyframedField([0, 2]);
+    approx(ForceFields.getValues(field, 5).strength, ForceFields.getValues(field, 1).strength, 'one loop later');
+});
+
+test('A keyframe at the same time replaces the old one', () => {
+    const field = keyframedField([1, 1.005]);
+    assert.strictEqual(field.keyframes.length, 1);
+    assert.strictEqual(field.keyframes[0].strength, 1.005);
+});
+
+test('Direction keyframes turn the short way round', () => {
+    const field = ForceFields.create('wind');
+    field.direction = 350;
+    ForceFields.addKeyframe(field, 0);
+    field.direction = 10;
+    ForceFields.addKeyframe(field, 2);
+
+    approx(ForceFields.getValues(field, 0.5).direction, 355, 'quarter way');
+    approx(ForceFields.getValues(field, 1).direction, 0, 'half way');
+    approx(ForceFields.getValues(field, 1.5).direction, 5, 'three quarters');
+});
+
+test('The loop jumps from the last keyframe back to the first', () => {
+    const field = keyframedField([1, 3]);
+    approx(ForceFields.getValues(field, 2.999).strength, 2.999, 'end of the loop');
+    approx(ForceFields.getValues(field, 3.001).strength, 1, 'start of the next loop');
+});
@@ -0,0 +1,164 @@
+// Text layout checks (line layout, kerning, wrapping, alignment, fit to box) - run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts, loadFontData } = require('./load-scripts');
+
+const balloony = loadFontData('fonts/Balloony_Regular.json');
+const gameBubble = loadFontData('fonts/Game Bubble_Regular.json');
+const bounds = { minX: -20, maxX: 20, minY: -10, maxY: 10 };
+
+const InflatableText = {
+    font: balloony,
+    canvasBounds: bounds,
+    settings: {
+        fontSize: 5,
+        autoSpacing: true,
+        randomSpawn: false,
+        pathLayout: null,
+        letterSpacing: 0.3,
+        lineSpacing: 0.3,
+        textAlign: 'center',
+        verticalAlign: 'middle',
+        textCase: 'upper',
+        textDirection: 'auto',
+        fitToBox: false,
+        targetBevelSize: 0.15
+    }
+};
+const context = loadScripts(['js/bidi.js', 'js/font-chain.js', 'js/layout.js', 'js/rich-text.js'], {
+    InflatableText: InflatableText,
+    MATERIAL_PRESETS: {}
+});
+const { TextLayout, FontChain, RichText } = context;
+
+// Use one primary font for the whole test, then put Balloony back
+function withPrimaryFont(font, run) {
+    InflatableText.font = font;
+    FontChain.fonts = [font];
+    try {
+        run();
+    } finally {
+        InflatableText.font = balloony;
+        FontChain.fonts = [balloony, gameBubble];
+    }
+}
+FontChain.fonts = [balloony, gameBubble];
+
+const approx = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-6, `${message}: ${actual} vs ${expected}`);
+
+test('A line advances by glyph widths plus tracking', () => {
+    const a = TextLayout.getGlyphMetrics('A', 5);
+    const b = TextLayout.getGlyphMetrics('B', 5);
+    const line = TextLayout.layoutLine('AB', 5);
+
+    approx(line.width, a.advance + TextLayout.getTracking(5) + b.advance, 'width');
+    approx(line.glyphs[0].x, (a.xMin + a.xMax) / 2, 'first glyph centre');
+});
+
+test('Kerning pairs from the typeface tighten the line', () => {
+    withPrimaryFont(gameBubble, () => {
+        const kerning = TextLayout.getKerning('A', 'V', 5);
+        approx(kerning, gameBubble.data.kerning['A']['V'] * 5 / gameBubble.data.resolution, 'A-V kerning');
+
+        const apart = TextLayout.measureText('A', 5) + TextLayout.getTracking(5) + TextLayout.measureText('V', 5);
+        approx(TextLayout.measureText('AV', 5), apart + kerning, 'kerned width');
+    });
+});
+
+test('Balloony has no kerning pairs, and pairs from different fonts are not kerned', () => {
+    assert.strictEqual(FontChain.hasKerning(balloony), false);
+    assert.strictEqual(TextLayout.getKerning('A', 'V', 5), 0);
+    assert.strictEqual(TextLayout.getKerning('A', 'É', 5), 0); // É falls back to Game Bubble
+});
+
+test('Rich text sizes scale single letters', () => {
+    const parsed = RichText.parse('A[size=2]B[/size]');
+    const sizes = TextLayout.getTextStyleSizes(parsed.styles, 0, parsed.text.length);
+    assert.deepStrictEqual(Array.from(sizes), [1, 2]);
+
+    const width = TextLayout.measureText('AB', 5, sizes);
+    const expected = TextLayout.getGlyphMetrics('A', 5).advance + TextLayout.getTracking(5) + TextLayout.getGlyphMetrics('B', 10).advance;
+    approx(width, expected, 'width');
+});
+
+test('Lines wrap at spaces when they are wider than the box', () => {
+    const fontSize = 5;
+    const boxWidth = Math.max(TextLayout.measureText('HELLO', fontSize), TextLayout.measureText('WORLD', fontSize)) + 0.01;
+    const result = TextLayout.wrapTextToFit(['HELLO WORLD'], boxWidth, 100, fontSize, fontSize * 1.5);
+
+    assert.deepStrictEqual(Array.from(result.lines), ['HELLO', 'WORLD']);
+    assert.deepStrictEqual(Array.from(result.paragraphEnds), [false, true]);
+    assert.strictEqual(result.spacingScale, 1);
+});
+
+test('A word wider than the box is broken into chunks that fit', () => {
+    const fontSize = 5;
+    const boxWidth = TextLayout.measureText('ABC', fontSize) + 0.01;
+    const result = TextLayout.wrapTextToFit(['ABCDEFGH'], boxWidth, 100, fontSize, fontSize * 1.5);
+
+    assert.strictEqual(result.lines.join(''), 'ABCDEFGH');
+    assert.ok(result.lines.length > 1);
+    result.lines.forEach(line => assert.ok(TextLayout.measureText(line, fontSize) <= boxWidth, line));
+});
+
+test('Wrapping measures rich text at its sizes', () => {
+    const fontSize = 5;
+    const boxWidth = TextLayout.measureText('AB AB', fontSize) + 0.01;
+    const parsed = RichText.parse('AB [size=2]AB[/size]');
+
+    assert.strictEqual(TextLayout.wrapTextToFit([parsed.text], boxWidth, 100, fontSize, fontSize * 1.5).lines.length, 1);
+    assert.deepStrictEqual(Array.from(TextLayout.wrapTextToFit([parsed.text], boxWidth, 100, fontSize, fontSize * 1.5, parsed.styles).lines), ['AB', 'AB']);
+});
+
+test('Lines too tall for the box squeeze the line height', () => {
+    const result = TextLayout.wrapTextToFit(['A', 'B', 'C'], 100, 9, 5, 7.5);
+    approx(result.letterHeight, 3, 'line height');
+});
+
+test('Centered text sits in the middle of the box, letters in reading order', () => {
+    const layout = TextLayout.layoutText('HI YOU');
+    const line = layout.lines[0];
+
+    approx(line.x + line.width / 2, 0, 'line centre');
+    assert.deepStrictEqual(Array.from(layout.letters, letter => letter.char), ['H', 'I', 'Y', 'O', 'U']);
+    assert.deepStrictEqual(Array.from(layout.letters, letter => letter.sourceIndex), [0, 1, 3, 4, 5]);
+    assert.deepStrictEqual(Array.from(layout.letters, letter => letter.index), [0, 1, 2, 3, 4]);
+    layout.letters.slice(1).forEach((letter, index) => assert.ok(letter.x > layout.letters[index].x));
+});
+
+test('Left, right and top alignment anchor lines to the box edges', () => {
+    const left = TextLayout.layoutText('HI', { textAlign: 'left', verticalAlign: 'top' });
+    approx(left.lines[0].x, bounds.minX, 'left edge');
+    approx(left.bounds.maxY, bounds.maxY, 'top edge');
+
+    const right = TextLayout.layoutText('HI', { textAlign: 'right' });
+    approx(right.lines[0].x + right.lines[0].width, bounds.maxX, 'right edge');
+});
+
+test('Newlines start new lines stacked top to bottom', () => {
+    const layout = TextLayout.layoutText('A\nB');
+    assert.strictEqual(layout.lines.length, 2);
+    approx(layout.lines[0].y - layout.lines[1].y, layout.letterHeight, 'line step');
+    assert.deepStrictEqual(Array.from(layout.letters, letter => letter.line), [0, 1]);
+});
+
+test('Fit to box picks the largest size that still fits', () => {
+    const size = TextLayout.fitFontSize('HELLO', bounds);
+
+    assert.ok(TextLayout.fitsInBox('HELLO', size, bounds));
+    assert.ok(!TextLayout.fitsInBox('HELLO', size * 1.01, bounds));
+});
+
+test('Fit to box scales with the box', () => {
+    const doubled = { minX: -40, maxX: 40, minY: -20, maxY: 20 };
+    approx(TextLayout.fitFontSize('HELLO', doubled) / TextLayout.fitFontSize('HELLO', bounds), 2, 'size ratio');
+});
+
+test('Fitted layouts keep every letter inside the box', () => {
+    const layout = TextLayout.layoutText('HELLO THERE WORLD', { fitToBox: true });
+    layout.letters.forEach(letter => {
+        assert.ok(letter.x >= bounds.minX && letter.x <= bounds.maxX, `${letter.char} x`);
+        assert.ok(letter.y >= bounds.minY && letter.y <= bounds.maxY, `${letter.char} y`);
+    });
+    assert.ok(layout.fontSize > 0);
+});
@@ -0,0 +1,32 @@
+// Test helper: run browser scripts from js/ in a vm context (not a test file itself)
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * Run scripts in a fresh context with just the globals they read
+ * Each module assigns its namespace to window, which is the context itself
+ * @param {Array<string>} files - Script paths relative to the repo root, in load order
+ * @param {Object} globals - Globals the scripts expect (e.g. an InflatableText stub)
+ * @returns {Object} The context, with every namespace the scripts exported
+ */
+function loadScripts(files, globals = {}) {
+    const context = Object.assign({}, globals);
+    context.window = context;
+    vm.createContext(context);
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+    });
+    return context;
+}
+
+/**
+ * Read a bundled typeface as a stand-in for THREE.Font (layout only reads font.data)
+ * @param {string} file - Font JSON path relative to the repo root
+ * @returns {Object} { data }
+ */
+function loadFontData(file) {
+    return { data: JSON.parse(fs.readFileSync(path.join(__dirname, '..', file), 'utf8')) };
+}
+
+module.exports = { loadScripts, loadFontData };
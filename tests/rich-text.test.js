@@ -0,0 +1,64 @@
+// Inline style markup parsing - run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const InflatableText = { settings: { textCase: 'upper' } };
+const { RichText } = loadScripts(['js/layout.js', 'js/rich-text.js'], {
+    InflatableText: InflatableText,
+    MATERIAL_PRESETS: { 'helium-foil': {} }
+});
+
+// Styles come from the script's realm, so compare them as plain JSON
+const stylesOf = (parsed) => JSON.parse(JSON.stringify(parsed.styles));
+
+test('Plain text has no styles', () => {
+    const parsed = RichText.parse('HELLO');
+    assert.strictEqual(parsed.text, 'HELLO');
+    assert.deepStrictEqual(stylesOf(parsed), [null, null, null, null, null]);
+});
+
+test('Tags are stripped and style the letters inside them', () => {
+    const parsed = RichText.parse('A[color=#ff0]B[/color]C');
+    assert.strictEqual(parsed.text, 'ABC');
+    assert.deepStrictEqual(stylesOf(parsed), [null, { color: '#ff0' }, null]);
+});
+
+test('Nested tags combine, and the innermost value of a tag wins', () => {
+    const parsed = RichText.parse('[size=2]A[color=red]B[size=3]C[/size][/color]D[/size]');
+    assert.strictEqual(parsed.text, 'ABCD');
+    assert.deepStrictEqual(stylesOf(parsed), [
+        { size: 2 },
+        { color: 'red', size: 2 },
+        { color: 'red', size: 3 },
+        { size: 2 }
+    ]);
+});
+
+test('Material and static tags set their keys', () => {
+    const parsed = RichText.parse('[mat=Helium-Foil]A[/mat][static]B[/static]');
+    assert.deepStrictEqual(stylesOf(parsed), [{ material: 'helium-foil' }, { isStatic: true }]);
+});
+
+test('An unclosed tag runs to the end of the text', () => {
+    const parsed = RichText.parse('A[size=2]BC');
+    assert.deepStrictEqual(stylesOf(parsed), [null, { size: 2 }, { size: 2 }]);
+});
+
+test('Tags with an invalid value stay in the text as typed', () => {
+    assert.strictEqual(RichText.parse('[size=0]A').text, '[size=0]A');
+    assert.strictEqual(RichText.parse('[color=#12]A').text, '[color=#12]A');
+    assert.strictEqual(RichText.parse('[mat=rubber]A').text, '[mat=rubber]A');
+    assert.strictEqual(RichText.parse('[static=yes]A').text, '[static=yes]A');
+});
+
+test('Letter case keeps styles lined up when a letter changes length', () => {
+    const cased = RichText.applyCase(RichText.parse('[size=2]ß[/size]a'));
+    assert.strictEqual(cased.text, 'SSA');
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(cased.styles)), [{ size: 2 }, { size: 2 }, null]);
+});
+
+test('Identical styles share a key', () => {
+    assert.strictEqual(RichText.getStyleKey({ color: 'red', size: 2 }), RichText.getStyleKey({ size: 2, color: 'red' }));
+    assert.notStrictEqual(RichText.getStyleKey({ color: 'red' }), RichText.getStyleKey(null));
+});
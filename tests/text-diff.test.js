@@ -0,0 +1,34 @@
+// Letter matching between edits - run with: npm test
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScripts } = require('./load-scripts');
+
+const { TextDiff } = loadScripts(['js/text-diff.js']);
+const match = (oldText, newText) => Array.from(TextDiff.matchSequences(oldText.split(''), newText.split('')));
+
+test('Unchanged text matches every letter to itself', () => {
+    assert.deepStrictEqual(match('HELLO', 'HELLO'), [0, 1, 2, 3, 4]);
+});
+
+test('A letter inserted mid-word is the only new one', () => {
+    assert.deepStrictEqual(match('HELO', 'HELLO'), [0, 1, 2, -1, 3]);
+});
+
+test('Deleting a letter keeps the rest matched', () => {
+    assert.deepStrictEqual(match('HELLO', 'HLLO'), [0, 2, 3, 4]);
+});
+
+test('Replaced letters are new and the rest keep their balloons', () => {
+    assert.deepStrictEqual(match('CAT', 'CUT'), [0, -1, 2]);
+});
+
+test('Empty sequences match nothing', () => {
+    assert.deepStrictEqual(match('', 'AB'), [-1, -1]);
+    assert.deepStrictEqual(match('AB', ''), []);
+});
+
+test('Each old letter is matched at most once, in order', () => {
+    const matches = match('ABAB', 'BABA').filter(index => index !== -1);
+    assert.strictEqual(matches.length, 3);
+    matches.slice(1).forEach((index, i) => assert.ok(index > matches[i]));
+});